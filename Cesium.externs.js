@@ -588,6 +588,13 @@ Cesium.Camera.prototype.moveBackward = function(amount) {};
 Cesium.Camera.prototype.pickEllipsoid = function(windowPos, opt_ellipsoid) {};
 
 
+/**
+ * @param {!Cesium.Rectangle} rectangle
+ * @param {Cesium.Ellipsoid=} opt_ellipsoid
+ */
+Cesium.Camera.prototype.viewRectangle = function(rectangle, opt_ellipsoid) {};
+
+
 /**
  * @constructor
  * @param {number=} x
@@ -865,6 +872,12 @@ Cesium.Globe.prototype.ellipsoid;
 Cesium.Globe.prototype.depthTestAgainstTerrain;
 
 
+/**
+ * @type {Cesium.TerrainProvider}
+ */
+Cesium.Globe.prototype.terrainProvider;
+
+
 /**
  * @param {!Cesium.Cartographic} cartographic
  * @return {number|undefined}
@@ -1474,6 +1487,14 @@ Cesium.DefaultProxy = function(proxy) {};
 Cesium.Event = function() {};
 
 
+/**
+ * @param {Function} listener
+ * @param {Object=} opt_scope
+ * @return {function()} Function removing the listener.
+ */
+Cesium.Event.prototype.addEventListener = function(listener, opt_scope) {};
+
+
 
 /**
  * @constructor
@@ -1484,6 +1505,24 @@ Cesium.Event = function() {};
 Cesium.Credit = function(opt_text, opt_imageUrl, opt_link) {};
 
 
+/**
+ * @return {string|undefined}
+ */
+Cesium.Credit.prototype.getText = function() {};
+
+
+/**
+ * @return {string|undefined}
+ */
+Cesium.Credit.prototype.getImageUrl = function() {};
+
+
+/**
+ * @return {string|undefined}
+ */
+Cesium.Credit.prototype.getLink = function() {};
+
+
 /**
  * @constructor
  */
@@ -1643,6 +1682,11 @@ Cesium.ImageryLayerCollection.prototype.remove = function(layer, opt_destroy) {}
 Cesium.ImageryLayerCollection.prototype.removeAll = function(opt_destroy) {};
 
 
+/**
+ */
+Cesium.ImageryLayerCollection.prototype.destroy = function() {};
+
+
 
 /**
  * @constructor
@@ -1787,6 +1831,13 @@ Cesium.Ellipsoid = function(radii) {};
  */
 Cesium.Ellipsoid.WGS84;
 
+
+/**
+ * @type {number}
+ */
+Cesium.Ellipsoid.prototype.maximumRadius;
+
+
 /**
  * @param {Cesium.Cartesian3} cartesian
  * @param {Cesium.Cartesian3} opt_result
@@ -2291,6 +2342,49 @@ Cesium.Scene.prototype.skyAtmosphere;
  */
 Cesium.Scene.prototype.maximumAliasedLineWidth;
 
+
+/**
+ * @type {!Cesium.Event}
+ */
+Cesium.Scene.prototype.postRender;
+
+
+/**
+ * @type {!Cesium.Event}
+ */
+Cesium.Scene.prototype.preRender;
+
+
+/**
+ * @const
+ */
+Cesium.SceneTransforms = {};
+
+
+/**
+ * @param {!Cesium.Scene} scene
+ * @param {!Cesium.Cartesian3} position
+ * @param {Cesium.Cartesian2=} opt_result
+ * @return {!Cesium.Cartesian2|undefined}
+ */
+Cesium.SceneTransforms.wgs84ToWindowCoordinates =
+    function(scene, position, opt_result) {};
+
+
+/**
+ * @constructor
+ * @param {!Cesium.Ellipsoid} ellipsoid
+ * @param {Cesium.Cartesian3=} opt_cameraPosition
+ */
+Cesium.EllipsoidalOccluder = function(ellipsoid, opt_cameraPosition) {};
+
+
+/**
+ * @param {!Cesium.Cartesian3} occludee
+ * @return {boolean}
+ */
+Cesium.EllipsoidalOccluder.prototype.isPointVisible = function(occludee) {};
+
 /**
  * @typedef {{
  *  primitive: Cesium.Primitive
@@ -2367,6 +2461,12 @@ Cesium.ScreenSpaceCameraController = function() {};
 Cesium.ScreenSpaceCameraController.prototype.minimumZoomDistance;
 
 
+/**
+ * @type {number}
+ */
+Cesium.ScreenSpaceCameraController.prototype.maximumZoomDistance;
+
+
 /**
  * @type {boolean}
  */
@@ -2402,6 +2502,11 @@ Cesium.ScreenSpaceCameraController.prototype.inertiaSpin;
  */
 Cesium.ScreenSpaceCameraController.prototype.ineartiaTranslate;
 
+/**
+ * @type {number}
+ */
+Cesium.ScreenSpaceCameraController.prototype.inertiaTranslate;
+
 /**
  * @type {number}
  */
@@ -2544,6 +2649,14 @@ Cesium.SkyAtmosphere = function() {};
 Cesium.SkyBox = function(options) {};
 
 
+/**
+ * @type {{positiveX: string, negativeX: string,
+ *         positiveY: string, negativeY: string,
+ *         positiveZ: string, negativeZ: string}}
+ */
+Cesium.SkyBox.prototype.sources;
+
+
 
 /**
  * @interface
@@ -2666,6 +2779,18 @@ Cesium.CesiumTerrainProviderOptions;
 Cesium.TerrainProvider = function() {};
 
 
+/**
+ * @type {boolean}
+ */
+Cesium.TerrainProvider.prototype.ready;
+
+
+/**
+ * @type {Cesium.Credit|undefined}
+ */
+Cesium.TerrainProvider.prototype.credit;
+
+
 /**
  * @param {!Cesium.CesiumTerrainProviderOptions} opt_options
  * @extends {Cesium.TerrainProvider}
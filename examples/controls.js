@@ -0,0 +1,28 @@
+var ol2d = new ol.Map({
+  layers: [
+    new ol.layer.Tile({
+      source: new ol.source.OSM()
+    })
+  ],
+  controls: [new ol.control.Attribution()],
+  target: 'map',
+  view: new ol.View({
+    center: ol.proj.transform([25, 20], 'EPSG:4326', 'EPSG:3857'),
+    zoom: 3
+  })
+});
+
+var ol3d = new olcs.OLCesium({map: ol2d});
+var scene = ol3d.getCesiumScene();
+var terrainProvider = new Cesium.CesiumTerrainProvider({
+  url : '//cesiumjs.org/stk-terrain/tilesets/world/tiles'
+});
+scene.terrainProvider = terrainProvider;
+
+ol2d.addControl(new olcs.control.Zoom({ol3d: ol3d}));
+ol2d.addControl(new olcs.control.Rotate({ol3d: ol3d}));
+ol2d.addControl(new olcs.control.ZoomToExtent({
+  ol3d: ol3d,
+  extent: ol.proj.transformExtent([5, 45, 11, 48], 'EPSG:4326', 'EPSG:3857')
+}));
+ol2d.addControl(new olcs.control.Tilt({ol3d: ol3d}));
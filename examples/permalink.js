@@ -0,0 +1,41 @@
+var ol2d = new ol.Map({
+  layers: [
+    new ol.layer.Tile({
+      source: new ol.source.OSM()
+    })
+  ],
+  target: 'map',
+  view: new ol.View({
+    center: ol.proj.transform([25, 20], 'EPSG:4326', 'EPSG:3857'),
+    zoom: 3
+  })
+});
+
+var ol3d = new olcs.OLCesium({map: ol2d});
+var scene = ol3d.getCesiumScene();
+var terrainProvider = new Cesium.CesiumTerrainProvider({
+  url : '//cesiumjs.org/stk-terrain/tilesets/world/tiles'
+});
+scene.terrainProvider = terrainProvider;
+
+var state = olcs.permalink.read(window.location.hash);
+if (state) {
+  ol3d.setState(state);
+}
+
+// update the hash at most once per second
+var updateTimeout = null;
+var updateHash = function() {
+  if (updateTimeout === null) {
+    updateTimeout = setTimeout(function() {
+      updateTimeout = null;
+      var state = ol3d.getState();
+      if (state) {
+        window.history.replaceState(null, '',
+            '#' + olcs.permalink.write(state));
+      }
+    }, 1000);
+  }
+};
+ol2d.getView().on('propertychange', updateHash);
+ol3d.listen('change:enabled', updateHash);
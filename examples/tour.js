@@ -0,0 +1,47 @@
+var ol2d = new ol.Map({
+  layers: [
+    new ol.layer.Tile({
+      source: new ol.source.OSM()
+    })
+  ],
+  target: 'map',
+  view: new ol.View({
+    center: ol.proj.transform([7, 46], 'EPSG:4326', 'EPSG:3857'),
+    zoom: 5
+  })
+});
+
+var ol3d = new olcs.OLCesium({map: ol2d});
+var scene = ol3d.getCesiumScene();
+var terrainProvider = new Cesium.CesiumTerrainProvider({
+  url : '//cesiumjs.org/stk-terrain/tilesets/world/tiles'
+});
+scene.terrainProvider = terrainProvider;
+ol3d.setEnabled(true);
+
+var tour = olcs.TourPlayer.readTour({
+  loop: true,
+  waypoints: [{
+    center: ol.proj.transform([7.66, 45.98], 'EPSG:4326', 'EPSG:3857'),
+    heading: 0.5,
+    tilt: 1.2,
+    distance: 15000
+  }, {
+    center: ol.proj.transform([6.86, 45.83], 'EPSG:4326', 'EPSG:3857'),
+    heading: -1,
+    tilt: 1.1,
+    distance: 20000,
+    duration: 5000
+  }, {
+    center: ol.proj.transform([8.01, 46.54], 'EPSG:4326', 'EPSG:3857'),
+    heading: 2.5,
+    tilt: 1.3,
+    distance: 12000,
+    pause: 4000
+  }]
+});
+
+var player = new olcs.TourPlayer(ol3d.getCamera(), tour);
+player.listen('waypoint', function(e) {
+  document.getElementById('waypoint').innerHTML = 'Waypoint ' + e.index;
+});
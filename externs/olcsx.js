@@ -10,7 +10,21 @@ var olcsx;
  * @typedef {{
  *   map: (!ol.Map),
  *   target: (Element|string|undefined),
- *   createSynchronizers: ((function(!ol.Map, !Cesium.Scene): Array.<olcs.AbstractSynchronizer>)|undefined)
+ *   createSynchronizers: ((function(!ol.Map, !Cesium.Scene): Array.<olcs.AbstractSynchronizer>)|undefined),
+ *   renderOnDemand: (boolean|undefined),
+ *   sceneOptions: (Object|undefined),
+ *   globe: (Cesium.Globe|undefined),
+ *   ellipsoid: (Cesium.Ellipsoid|undefined),
+ *   skyAtmosphere: (boolean|undefined),
+ *   skyBox: (Cesium.SkyBox|undefined),
+ *   inertia: (number|undefined),
+ *   cameraController: (Object|undefined),
+ *   layout: (olcs.OLCesiumLayout|undefined),
+ *   pixelRatio: (number|undefined),
+ *   resolutionScale: (number|undefined),
+ *   lazy: (boolean|undefined),
+ *   constrainResolution: (boolean|undefined),
+ *   navigationMode: (olcs.OLCesiumNavigationMode|undefined)
  * }}
  * @api
  */
@@ -44,6 +58,750 @@ olcsx.OLCesiumOptions.prototype.target;
 olcsx.OLCesiumOptions.prototype.createSynchronizers;
 
 
+/**
+ * Render the Cesium scene only when needed: when the camera moves, when
+ * tiles are loading, when the synchronized layers change or when requested
+ * with {@link olcs.OLCesium#requestRender}. Default is `false`, the scene is
+ * rendered on every animation frame.
+ * @type {boolean|undefined}
+ * @api
+ */
+olcsx.OLCesiumOptions.prototype.renderOnDemand;
+
+
+/**
+ * Options passed to the `Cesium.Scene` constructor. The `canvas` is always
+ * created by OL3-Cesium. Default `scene3DOnly` is `true`.
+ * @type {Object|undefined}
+ * @api
+ */
+olcsx.OLCesiumOptions.prototype.sceneOptions;
+
+
+/**
+ * Globe of the Cesium scene. Default is a globe using the `ellipsoid` option.
+ * It is replaced by a new globe when the WebGL context is restored, see the
+ * `contextrestored` event.
+ * @type {Cesium.Globe|undefined}
+ * @api
+ */
+olcsx.OLCesiumOptions.prototype.globe;
+
+
+/**
+ * Ellipsoid of the default globe. Default is `Cesium.Ellipsoid.WGS84`.
+ * @type {Cesium.Ellipsoid|undefined}
+ * @api
+ */
+olcsx.OLCesiumOptions.prototype.ellipsoid;
+
+
+/**
+ * Whether to display the sky atmosphere. Default is `true`.
+ * @type {boolean|undefined}
+ * @api
+ */
+olcsx.OLCesiumOptions.prototype.skyAtmosphere;
+
+
+/**
+ * Sky box of the Cesium scene. Default is no sky box.
+ * @type {Cesium.SkyBox|undefined}
+ * @api
+ */
+olcsx.OLCesiumOptions.prototype.skyBox;
+
+
+/**
+ * Inertia of the camera spin, translation and zoom, between 0 and 1.
+ * Default is `0`, no inertia.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.OLCesiumOptions.prototype.inertia;
+
+
+/**
+ * Properties to set on the `Cesium.ScreenSpaceCameraController` of the
+ * scene, overriding the defaults. For instance `enableLook` or the event
+ * mappings like `tiltEventTypes` and `zoomEventTypes`. By default SHIFT and
+ * ALT + left drag tilt the camera and the look mode is disabled.
+ * @type {Object|undefined}
+ * @api
+ */
+olcsx.OLCesiumOptions.prototype.cameraController;
+
+
+/**
+ * How the enabled Cesium scene shares the map viewport. Only used when no
+ * `target` is given. Default is `olcs.OLCesiumLayout.STACKED`.
+ * @type {olcs.OLCesiumLayout|undefined}
+ * @api
+ */
+olcsx.OLCesiumOptions.prototype.layout;
+
+
+/**
+ * Ratio between the size of the drawing buffer and the CSS size of the
+ * canvas. Default is the device pixel ratio.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.OLCesiumOptions.prototype.pixelRatio;
+
+
+/**
+ * Factor applied to the pixel ratio, lower it to render faster at a lower
+ * quality. Default is `1`.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.OLCesiumOptions.prototype.resolutionScale;
+
+
+/**
+ * Defer the creation of the Cesium scene, the camera and the synchronizers
+ * until the scene is first enabled, warmed up, or requested through a getter
+ * like {@link olcs.OLCesium#getCesiumScene}. Default is `false`.
+ * @type {boolean|undefined}
+ * @api
+ */
+olcsx.OLCesiumOptions.prototype.lazy;
+
+
+/**
+ * When disabling the Cesium scene, snap the resolution and the rotation of
+ * the ol.View to its constraints, so that the tiles are rendered at their
+ * native resolution. The camera is moved to match the snapped view. Default
+ * is `false`.
+ * @type {boolean|undefined}
+ * @api
+ */
+olcsx.OLCesiumOptions.prototype.constrainResolution;
+
+
+/**
+ * How the user moves the camera of the enabled Cesium scene. Default is
+ * `olcs.OLCesiumNavigationMode.ORBIT`.
+ * @type {olcs.OLCesiumNavigationMode|undefined}
+ * @api
+ */
+olcsx.OLCesiumOptions.prototype.navigationMode;
+
+
+/**
+ * @typedef {{
+ *   center: (boolean|undefined),
+ *   resolution: (boolean|undefined),
+ *   maxTilt: (number|undefined)
+ * }}
+ * @api
+ */
+olcsx.CameraConstraints;
+
+
+/**
+ * Keep the center inside the extent of the ol.View, as constrained by
+ * `ol.View#constrainCenter`. Default is `true`.
+ * @type {boolean|undefined}
+ * @api
+ */
+olcsx.CameraConstraints.prototype.center;
+
+
+/**
+ * Keep the distance of the camera between the ones matching the minimum
+ * and maximum resolutions of the ol.View. Default is `true`.
+ * @type {boolean|undefined}
+ * @api
+ */
+olcsx.CameraConstraints.prototype.resolution;
+
+
+/**
+ * Maximum tilt of the camera in radians. Default is no maximum.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.CameraConstraints.prototype.maxTilt;
+
+
+/**
+ * @typedef {{
+ *   animate: (boolean|undefined),
+ *   duration: (number|undefined),
+ *   tilt: (number|undefined)
+ * }}
+ * @api
+ */
+olcsx.EnableOptions;
+
+
+/**
+ * Whether to animate the transition between the 2D and the 3D views.
+ * Default is `false`.
+ * @type {boolean|undefined}
+ * @api
+ */
+olcsx.EnableOptions.prototype.animate;
+
+
+/**
+ * Duration of the animated transition in milliseconds. Default is `1000`.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.EnableOptions.prototype.duration;
+
+
+/**
+ * Tilt of the camera in radians once the 3D view is enabled. Ignored when
+ * disabling. Default is the current tilt of the {@link olcs.Camera}.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.EnableOptions.prototype.tilt;
+
+
+/**
+ * @typedef {{
+ *   center: (ol.Coordinate|undefined),
+ *   distance: (number|undefined),
+ *   altitude: (number|undefined),
+ *   heading: (number|undefined),
+ *   tilt: (number|undefined),
+ *   duration: (number|undefined),
+ *   easing: (function(number):number|undefined),
+ *   callback: (function(boolean)|undefined)
+ * }}
+ * @api
+ */
+olcsx.FlyToOptions;
+
+
+/**
+ * Target center, in the view projection. Default is the current center.
+ * @type {ol.Coordinate|undefined}
+ * @api
+ */
+olcsx.FlyToOptions.prototype.center;
+
+
+/**
+ * Target distance between the camera and the center, in meters. Default is
+ * the current distance, unless `altitude` is set.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.FlyToOptions.prototype.distance;
+
+
+/**
+ * Target altitude of the camera above the center, in meters. Ignored when
+ * `distance` is set.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.FlyToOptions.prototype.altitude;
+
+
+/**
+ * Target heading in radians. Default is the current heading.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.FlyToOptions.prototype.heading;
+
+
+/**
+ * Target tilt in radians. Default is the current tilt.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.FlyToOptions.prototype.tilt;
+
+
+/**
+ * Duration of the flight in milliseconds. Default is `2000`.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.FlyToOptions.prototype.duration;
+
+
+/**
+ * Easing function, for instance from `ol.easing`. Default is
+ * `ol.easing.inAndOut`.
+ * @type {function(number):number|undefined}
+ * @api
+ */
+olcsx.FlyToOptions.prototype.easing;
+
+
+/**
+ * Called at the end of the flight with `true`, or with `false` if the flight
+ * was cancelled.
+ * @type {function(boolean)|undefined}
+ * @api
+ */
+olcsx.FlyToOptions.prototype.callback;
+
+
+/**
+ * @typedef {{
+ *   distance: (number|undefined),
+ *   tilt: (number|undefined),
+ *   speed: (number|undefined),
+ *   callback: (function()|undefined)
+ * }}
+ * @api
+ */
+olcsx.OrbitOptions;
+
+
+/**
+ * Distance between the camera and the center, in meters. Default is the
+ * current distance.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.OrbitOptions.prototype.distance;
+
+
+/**
+ * Tilt of the camera in radians. Default is the current tilt.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.OrbitOptions.prototype.tilt;
+
+
+/**
+ * Angular speed in radians per second, positive to turn clockwise when
+ * seen from above. Default is `Math.PI / 30`, a turn per minute.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.OrbitOptions.prototype.speed;
+
+
+/**
+ * Called when the orbit stops, on user input or with `stopOrbit`.
+ * @type {function()|undefined}
+ * @api
+ */
+olcsx.OrbitOptions.prototype.callback;
+
+
+/**
+ * @typedef {{
+ *   timeout: (number|undefined)
+ * }}
+ * @api
+ */
+olcsx.PreloadOptions;
+
+
+/**
+ * Milliseconds after which the preloading stops even if tiles are still
+ * loading. Default is `10000`.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.PreloadOptions.prototype.timeout;
+
+
+/**
+ * @typedef {{
+ *   enabled: boolean,
+ *   center: ol.Coordinate,
+ *   heading: number,
+ *   tilt: number,
+ *   distance: number
+ * }}
+ * @api
+ */
+olcsx.State;
+
+
+/**
+ * Whether the Cesium scene is enabled.
+ * @type {boolean}
+ * @api
+ */
+olcsx.State.prototype.enabled;
+
+
+/**
+ * Center of the view, in the view projection.
+ * @type {ol.Coordinate}
+ * @api
+ */
+olcsx.State.prototype.center;
+
+
+/**
+ * Heading of the camera (rotation of the view) in radians.
+ * @type {number}
+ * @api
+ */
+olcsx.State.prototype.heading;
+
+
+/**
+ * Tilt of the camera in radians, 0 is looking down.
+ * @type {number}
+ * @api
+ */
+olcsx.State.prototype.tilt;
+
+
+/**
+ * Distance from the camera to the center in meters.
+ * @type {number}
+ * @api
+ */
+olcsx.State.prototype.distance;
+
+
+/**
+ * @typedef {{
+ *   waypoints: Array.<olcsx.TourWaypoint>,
+ *   loop: (boolean|undefined)
+ * }}
+ * @api
+ */
+olcsx.Tour;
+
+
+/**
+ * Waypoints of the tour, played in order.
+ * @type {Array.<olcsx.TourWaypoint>}
+ * @api
+ */
+olcsx.Tour.prototype.waypoints;
+
+
+/**
+ * Whether to play the tour again from the first waypoint after the last
+ * one. Default is `false`.
+ * @type {boolean|undefined}
+ * @api
+ */
+olcsx.Tour.prototype.loop;
+
+
+/**
+ * @typedef {{
+ *   center: ol.Coordinate,
+ *   heading: number,
+ *   tilt: number,
+ *   distance: number,
+ *   duration: (number|undefined),
+ *   pause: (number|undefined)
+ * }}
+ * @api
+ */
+olcsx.TourWaypoint;
+
+
+/**
+ * Center of the view, in the view projection.
+ * @type {ol.Coordinate}
+ * @api
+ */
+olcsx.TourWaypoint.prototype.center;
+
+
+/**
+ * Heading of the camera in radians.
+ * @type {number}
+ * @api
+ */
+olcsx.TourWaypoint.prototype.heading;
+
+
+/**
+ * Tilt of the camera in radians, 0 is looking down.
+ * @type {number}
+ * @api
+ */
+olcsx.TourWaypoint.prototype.tilt;
+
+
+/**
+ * Distance between the camera and the center, in meters.
+ * @type {number}
+ * @api
+ */
+olcsx.TourWaypoint.prototype.distance;
+
+
+/**
+ * Duration of the flight to the waypoint in milliseconds. Default is
+ * `3000`.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.TourWaypoint.prototype.duration;
+
+
+/**
+ * Duration of the pause on the waypoint in milliseconds. Default is `2000`.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.TourWaypoint.prototype.pause;
+
+
+/**
+ * @typedef {{
+ *   center: ol.Coordinate,
+ *   heading: number,
+ *   tilt: number,
+ *   distance: number
+ * }}
+ * @api
+ */
+olcsx.Viewpoint;
+
+
+/**
+ * Center of the view, in the view projection.
+ * @type {ol.Coordinate}
+ * @api
+ */
+olcsx.Viewpoint.prototype.center;
+
+
+/**
+ * Heading of the camera (rotation of the view) in radians.
+ * @type {number}
+ * @api
+ */
+olcsx.Viewpoint.prototype.heading;
+
+
+/**
+ * Tilt of the camera in radians, 0 is looking down.
+ * @type {number}
+ * @api
+ */
+olcsx.Viewpoint.prototype.tilt;
+
+
+/**
+ * Distance from the camera to the center in meters.
+ * @type {number}
+ * @api
+ */
+olcsx.Viewpoint.prototype.distance;
+
+
+/**
+ * Control namespace.
+ * @type {Object}
+ */
+olcsx.control;
+
+
+/**
+ * @typedef {{
+ *   ol3d: (!olcs.OLCesium),
+ *   className: (string|undefined),
+ *   duration: (number|undefined),
+ *   autoHide: (boolean|undefined),
+ *   target: (Element|undefined)
+ * }}
+ * @api
+ */
+olcsx.control.RotateOptions;
+
+
+/**
+ * The OL3-Cesium instance whose camera is driven in 3D.
+ * @type {!olcs.OLCesium}
+ * @api
+ */
+olcsx.control.RotateOptions.prototype.ol3d;
+
+
+/**
+ * CSS class name. Default is `ol-rotate`.
+ * @type {string|undefined}
+ * @api
+ */
+olcsx.control.RotateOptions.prototype.className;
+
+
+/**
+ * Animation duration of the 2D rotation in milliseconds. Default is `250`.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.control.RotateOptions.prototype.duration;
+
+
+/**
+ * Hide the control when the rotation is 0. Default is `true`.
+ * @type {boolean|undefined}
+ * @api
+ */
+olcsx.control.RotateOptions.prototype.autoHide;
+
+
+/**
+ * Target element of the control.
+ * @type {Element|undefined}
+ * @api
+ */
+olcsx.control.RotateOptions.prototype.target;
+
+
+/**
+ * @typedef {{
+ *   ol3d: (!olcs.OLCesium),
+ *   className: (string|undefined),
+ *   delta: (number|undefined),
+ *   target: (Element|undefined)
+ * }}
+ * @api
+ */
+olcsx.control.TiltOptions;
+
+
+/**
+ * The OL3-Cesium instance whose camera is tilted.
+ * @type {!olcs.OLCesium}
+ * @api
+ */
+olcsx.control.TiltOptions.prototype.ol3d;
+
+
+/**
+ * CSS class name. Default is `olcs-tilt`.
+ * @type {string|undefined}
+ * @api
+ */
+olcsx.control.TiltOptions.prototype.className;
+
+
+/**
+ * Tilt delta in radians. Default is `Math.PI / 12`.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.control.TiltOptions.prototype.delta;
+
+
+/**
+ * Target element of the control.
+ * @type {Element|undefined}
+ * @api
+ */
+olcsx.control.TiltOptions.prototype.target;
+
+
+/**
+ * @typedef {{
+ *   ol3d: (!olcs.OLCesium),
+ *   className: (string|undefined),
+ *   delta: (number|undefined),
+ *   duration: (number|undefined),
+ *   target: (Element|undefined)
+ * }}
+ * @api
+ */
+olcsx.control.ZoomOptions;
+
+
+/**
+ * The OL3-Cesium instance whose camera is driven in 3D.
+ * @type {!olcs.OLCesium}
+ * @api
+ */
+olcsx.control.ZoomOptions.prototype.ol3d;
+
+
+/**
+ * CSS class name. Default is `ol-zoom`.
+ * @type {string|undefined}
+ * @api
+ */
+olcsx.control.ZoomOptions.prototype.className;
+
+
+/**
+ * The zoom delta applied on each click. In 3D, the distance to the center
+ * of the screen is divided by `2^delta`. Default is `1`.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.control.ZoomOptions.prototype.delta;
+
+
+/**
+ * Animation duration of the zoom in milliseconds, also used for the camera
+ * when the Cesium scene is enabled. Default is `250`.
+ * @type {number|undefined}
+ * @api
+ */
+olcsx.control.ZoomOptions.prototype.duration;
+
+
+/**
+ * Target element of the control.
+ * @type {Element|undefined}
+ * @api
+ */
+olcsx.control.ZoomOptions.prototype.target;
+
+
+/**
+ * @typedef {{
+ *   ol3d: (!olcs.OLCesium),
+ *   className: (string|undefined),
+ *   extent: (ol.Extent|undefined),
+ *   target: (Element|undefined)
+ * }}
+ * @api
+ */
+olcsx.control.ZoomToExtentOptions;
+
+
+/**
+ * The OL3-Cesium instance whose camera is driven in 3D.
+ * @type {!olcs.OLCesium}
+ * @api
+ */
+olcsx.control.ZoomToExtentOptions.prototype.ol3d;
+
+
+/**
+ * CSS class name. Default is `ol-zoom-extent`.
+ * @type {string|undefined}
+ * @api
+ */
+olcsx.control.ZoomToExtentOptions.prototype.className;
+
+
+/**
+ * The extent to fit, in the view projection. Default is the extent of the
+ * view projection.
+ * @type {ol.Extent|undefined}
+ * @api
+ */
+olcsx.control.ZoomToExtentOptions.prototype.extent;
+
+
+/**
+ * Target element of the control.
+ * @type {Element|undefined}
+ * @api
+ */
+olcsx.control.ZoomToExtentOptions.prototype.target;
+
+
 /**
  * Core namespace.
  * @type {Object}
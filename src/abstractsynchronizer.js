@@ -1,19 +1,26 @@
 goog.provide('olcs.AbstractSynchronizer');
 
 goog.require('goog.events');
+goog.require('goog.events.EventTarget');
+goog.require('goog.events.EventType');
 goog.require('ol.layer.Group');
 goog.require('ol.layer.Layer');
 
 
 
 /**
+ * A `change` event is dispatched whenever the Cesium counterparts are
+ * added, removed or modified.
  * @param {!ol.Map} map
  * @param {!Cesium.Scene} scene
  * @constructor
+ * @extends {goog.events.EventTarget}
  * @template T
  * @api
  */
 olcs.AbstractSynchronizer = function(map, scene) {
+  goog.base(this);
+
   /**
    * @type {!ol.Map}
    * @protected
@@ -71,18 +78,64 @@ olcs.AbstractSynchronizer = function(map, scene) {
    */
   this.unusedCesiumObjects_ = null;
 
-  this.map.on('change:view', function(e) {
+  /**
+   * Map of listen keys for ol3 layers ids (from goog.getUid), registered
+   * when creating the Cesium counterparts.
+   * @type {!Object.<number, !Array>}
+   * @protected
+   */
+  this.olLayerListenKeys = {};
+
+  /**
+   * @type {!Array}
+   * @private
+   */
+  this.mapListenKeys_ = [];
+
+  this.listenMap_();
+};
+goog.inherits(olcs.AbstractSynchronizer, goog.events.EventTarget);
+
+
+/**
+ * Listens to the view and layer group changes of the map and synchronizes
+ * its current layers.
+ * @private
+ */
+olcs.AbstractSynchronizer.prototype.listenMap_ = function() {
+  this.mapListenKeys_.push(this.map.on('change:view', function(e) {
     this.setView_(this.map.getView());
-  }, this);
+  }, this));
   this.setView_(this.map.getView());
 
-  this.map.on('change:layergroup', function(e) {
+  this.mapListenKeys_.push(this.map.on('change:layergroup', function(e) {
     this.setLayers_(this.map.getLayers());
-  }, this);
+  }, this));
   this.setLayers_(this.map.getLayers());
 };
 
 
+/**
+ * Unlistens the map, its layers and layer groups.
+ * @private
+ */
+olcs.AbstractSynchronizer.prototype.unlistenMap_ = function() {
+  goog.array.forEach(this.mapListenKeys_, this.map.unByKey);
+  this.mapListenKeys_.length = 0;
+
+  if (!goog.isNull(this.olLayers)) {
+    goog.array.forEach(this.olLayersListenKeys_, this.olLayers.unByKey);
+    this.olLayersListenKeys_ = [];
+    this.olLayers = null;
+  }
+
+  goog.object.forEach(this.olGroupListenKeys_, function(keys, groupId, obj) {
+    goog.array.forEach(keys, this.map.unByKey);
+  }, this);
+  this.olGroupListenKeys_ = {};
+};
+
+
 /**
  * @param {ol.View} view New view to use.
  * @private
@@ -147,6 +200,7 @@ olcs.AbstractSynchronizer.prototype.synchronize = function() {
         var object = this.layerMap[layerId];
         if (goog.isDef(object)) {
           delete this.layerMap[layerId];
+          this.unlistenSingleLayer(layerId);
           if (!goog.isNull(object)) {
             this.destroyCesiumObject(object);
           }
@@ -160,6 +214,17 @@ olcs.AbstractSynchronizer.prototype.synchronize = function() {
     delete this.olGroupListenKeys_[groupId];
   }, this);
   this.unusedGroups_ = null;
+
+  this.changed();
+};
+
+
+/**
+ * Notifies the listeners that the Cesium counterparts have changed.
+ * @protected
+ */
+olcs.AbstractSynchronizer.prototype.changed = function() {
+  this.dispatchEvent(goog.events.EventType.CHANGE);
 };
 
 
@@ -243,6 +308,66 @@ olcs.AbstractSynchronizer.prototype.synchronizeSingle = function(olLayer) {
 olcs.AbstractSynchronizer.prototype.destroyAll = function() {
   this.removeAllCesiumObjects(true); // destroy
   this.layerMap = {};
+  goog.object.forEach(this.olLayerListenKeys, function(keys, layerId, obj) {
+    goog.array.forEach(keys, this.map.unByKey);
+  }, this);
+  this.olLayerListenKeys = {};
+};
+
+
+/**
+ * Unlistens the keys registered for the given ol3 layer.
+ * @param {number} layerId Id of the layer (from goog.getUid).
+ * @protected
+ */
+olcs.AbstractSynchronizer.prototype.unlistenSingleLayer = function(layerId) {
+  var keys = this.olLayerListenKeys[layerId];
+  if (goog.isDef(keys)) {
+    goog.array.forEach(keys, this.map.unByKey);
+    delete this.olLayerListenKeys[layerId];
+  }
+};
+
+
+/**
+ * Destroys the Cesium objects created in the current scene and creates them
+ * again in the given one.
+ * @param {!Cesium.Scene} scene
+ * @api
+ */
+olcs.AbstractSynchronizer.prototype.setScene = function(scene) {
+  this.destroyAll();
+  this.scene = scene;
+  this.synchronize();
+};
+
+
+/**
+ * Unlistens the current map and its layers, destroys the Cesium objects
+ * created for them and synchronizes the layers of the given map instead.
+ * @param {!ol.Map} map
+ * @api
+ */
+olcs.AbstractSynchronizer.prototype.setMap = function(map) {
+  this.unlistenMap_();
+  this.destroyAll();
+  this.view = null;
+  this.map = map;
+  this.listenMap_();
+};
+
+
+/**
+ * Unlistens all the ol3 objects and destroys all the created Cesium objects.
+ * The synchronizer must not be used afterwards.
+ * @api
+ */
+olcs.AbstractSynchronizer.prototype.destroy = function() {
+  this.unlistenMap_();
+  this.destroyAll();
+  this.view = null;
+
+  this.removeAllListeners();
 };
 
 
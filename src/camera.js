@@ -1,6 +1,10 @@
 goog.provide('olcs.Camera');
 
+goog.require('goog.async.AnimationDelay');
 goog.require('goog.events');
+goog.require('ol.Feature');
+goog.require('ol.easing');
+goog.require('ol.extent');
 goog.require('ol.proj');
 goog.require('olcs.core');
 
@@ -83,10 +87,59 @@ olcs.Camera = function(scene, map) {
    */
   this.viewUpdateInProgress_ = false;
 
-  this.map_.on('change:view', function(e) {
-    this.setView_(this.map_.getView());
-  }, this);
-  this.setView_(this.map_.getView());
+  /**
+   * Animation of the running flight.
+   * @type {goog.async.AnimationDelay}
+   * @private
+   */
+  this.flightDelay_ = null;
+
+  /**
+   * @type {?function(boolean)}
+   * @private
+   */
+  this.flightCallback_ = null;
+
+  /**
+   * Animation of the running orbit.
+   * @type {goog.async.AnimationDelay}
+   * @private
+   */
+  this.orbitDelay_ = null;
+
+  /**
+   * @type {?function()}
+   * @private
+   */
+  this.orbitCallback_ = null;
+
+  /**
+   * @type {?olcsx.CameraConstraints}
+   * @private
+   */
+  this.constraints_ = null;
+
+  /**
+   * Zoom distances of the camera controller before the constraints were
+   * set, to restore them.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.zoomDistances_ = null;
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  this.constraintsPaused_ = false;
+
+  /**
+   * @type {goog.events.Key}
+   * @private
+   */
+  this.mapListenKey_ = null;
+
+  this.listenMap_();
 };
 
 
@@ -142,11 +195,72 @@ olcs.Camera.prototype.setView_ = function(view) {
  */
 olcs.Camera.prototype.handleViewEvent_ = function(e) {
   if (!this.viewUpdateInProgress_) {
+    // the view is changed from elsewhere, for instance by a 2D interaction
+    this.cancelFlight();
+    this.stopOrbit();
     this.readFromView();
   }
 };
 
 
+/**
+ * Listens to the view changes of the map and uses its current view.
+ * @private
+ */
+olcs.Camera.prototype.listenMap_ = function() {
+  this.mapListenKey_ = this.map_.on('change:view', function(e) {
+    this.setView_(this.map_.getView());
+  }, this);
+  this.setView_(this.map_.getView());
+};
+
+
+/**
+ * Unlistens the map and the view and restores the zoom distances of the
+ * camera controller. The camera must not be used afterwards.
+ */
+olcs.Camera.prototype.destroy = function() {
+  this.cancelFlight();
+  this.stopOrbit();
+  this.restoreZoomDistances_();
+  this.map_.unByKey(this.mapListenKey_);
+  this.setView_(null);
+};
+
+
+/**
+ * Follows the view of another map and positions the camera from it.
+ * @param {!ol.Map} map
+ * @api
+ */
+olcs.Camera.prototype.setMap = function(map) {
+  this.cancelFlight();
+  this.stopOrbit();
+  this.map_.unByKey(this.mapListenKey_);
+  this.setView_(null);
+  this.map_ = map;
+  this.lastCameraViewMatrix_ = null;
+  this.listenMap_();
+};
+
+
+/**
+ * Uses the camera of another scene, for instance after the scene has been
+ * rebuilt, and positions it from the current ol.View state.
+ * @param {!Cesium.Scene} scene
+ * @api
+ */
+olcs.Camera.prototype.setScene = function(scene) {
+  this.scene_ = scene;
+  this.cam_ = scene.camera;
+  if (!goog.isNull(this.constraints_)) {
+    this.saveZoomDistances_();
+  }
+  this.lastCameraViewMatrix_ = null;
+  this.readFromView();
+};
+
+
 /**
  * @param {number} heading In radians.
  * @api
@@ -238,6 +352,21 @@ olcs.Camera.prototype.getCenter = function() {
 };
 
 
+/**
+ * Sets the center, the heading, the tilt and the distance at once. An
+ * `olcsx.State` or an `olcsx.TourWaypoint` can be given as well.
+ * @param {olcsx.Viewpoint} viewpoint
+ * @api
+ */
+olcs.Camera.prototype.setViewpoint = function(viewpoint) {
+  this.setTilt(viewpoint.tilt);
+  this.setCenter(viewpoint.center);
+  this.setHeading(viewpoint.heading);
+  // last, as changing the view resets the distance from the resolution
+  this.setDistance(viewpoint.distance);
+};
+
+
 /**
  * Sets the position of the camera.
  * @param {!ol.Coordinate} position Same projection as the ol.View.
@@ -339,6 +468,24 @@ olcs.Camera.prototype.updateCamera_ = function() {
   var ll = this.toLonLat_(center);
   goog.asserts.assert(!goog.isNull(ll));
 
+  this.positionCamera_(ll, this.view_.getRotation(), this.tilt_,
+      this.distance_);
+
+  this.checkCameraChange(true);
+};
+
+
+/**
+ * Places the Cesium.Camera at the given distance from a target on the globe.
+ * @param {!ol.Coordinate} ll Longitude and latitude of the target, in
+ *     degrees.
+ * @param {number} heading In radians.
+ * @param {number} tilt In radians.
+ * @param {number} distance In meters.
+ * @private
+ */
+olcs.Camera.prototype.positionCamera_ = function(ll, heading, tilt,
+    distance) {
   var carto = new Cesium.Cartographic(goog.math.toRadians(ll[0]),
                                       goog.math.toRadians(ll[1]));
   if (this.scene_.globe) {
@@ -348,13 +495,132 @@ olcs.Camera.prototype.updateCamera_ = function() {
 
   this.cam_.setView({
     positionCartographic: carto,
-    pitch: this.tilt_ - Cesium.Math.PI_OVER_TWO,
-    heading: -this.view_.getRotation()
+    pitch: tilt - Cesium.Math.PI_OVER_TWO,
+    heading: -heading
   });
 
-  this.cam_.moveBackward(this.distance_);
+  this.cam_.moveBackward(distance);
+};
 
-  this.checkCameraChange(true);
+
+/**
+ * Animates the camera from its current state to the given center, distance,
+ * heading and tilt. When the center changes, the camera rises along an arc
+ * to keep the travelled area in sight. The ol.View is updated at the end of
+ * the flight. A running flight is cancelled by a new one, by `cancelFlight`
+ * and by any change of the view made from elsewhere.
+ * @param {olcsx.FlyToOptions} options
+ * @api
+ */
+olcs.Camera.prototype.flyTo = function(options) {
+  this.cancelFlight();
+  this.stopOrbit();
+  var callback = goog.isDef(options.callback) ?
+      options.callback : goog.nullFunction;
+  var startCenter = this.getCenter();
+  if (goog.isNull(this.view_) || !goog.isDefAndNotNull(startCenter)) {
+    callback(false);
+    return;
+  }
+  var endCenter = goog.isDef(options.center) ? options.center : startCenter;
+  var startLL = this.toLonLat_(startCenter);
+  var endLL = this.toLonLat_(endCenter);
+  goog.asserts.assert(!goog.isNull(startLL) && !goog.isNull(endLL));
+
+  var startHeading = this.getHeading() || 0;
+  var endHeading = goog.isDef(options.heading) ?
+      options.heading : startHeading;
+  var startTilt = this.tilt_;
+  var endTilt = goog.isDef(options.tilt) ? options.tilt : startTilt;
+  var startDistance = this.distance_;
+  var endDistance = startDistance;
+  if (goog.isDef(options.distance)) {
+    endDistance = options.distance;
+  } else if (goog.isDef(options.altitude)) {
+    endDistance = options.altitude / Math.max(Math.cos(endTilt), 0.01);
+  }
+  var duration = goog.isDef(options.duration) ? options.duration : 2000;
+  var easing = goog.isDef(options.easing) ? options.easing :
+      ol.easing.inAndOut;
+
+  // turn and cross the antimeridian through the shortest way
+  var deltaHeading = goog.math.standardAngleInRadians(endHeading -
+      startHeading);
+  if (deltaHeading > Math.PI) {
+    deltaHeading -= 2 * Math.PI;
+  }
+  var deltaLon = goog.math.standardAngle(endLL[0] - startLL[0]);
+  if (deltaLon > 180) {
+    deltaLon -= 360;
+  }
+  var deltaLat = endLL[1] - startLL[1];
+
+  // rise enough to see both the start and the end in the middle of the flight
+  var ellipsoid = Cesium.Ellipsoid.WGS84;
+  var travel = Cesium.Cartesian3.distance(
+      ellipsoid.cartographicToCartesian(
+          Cesium.Cartographic.fromDegrees(startLL[0], startLL[1])),
+      ellipsoid.cartographicToCartesian(
+          Cesium.Cartographic.fromDegrees(endLL[0], endLL[1])));
+  var arcHeight = Math.max(0,
+      travel / 2 - Math.max(startDistance, endDistance));
+
+  var start = goog.now();
+  this.flightCallback_ = callback;
+  this.flightDelay_ = new goog.async.AnimationDelay(function(millis) {
+    var progress = duration > 0 ?
+        goog.math.clamp((millis - start) / duration, 0, 1) : 1;
+    if (progress < 1) {
+      var t = easing(progress);
+      this.tilt_ = startTilt + t * (endTilt - startTilt);
+      this.distance_ = startDistance + t * (endDistance - startDistance) +
+          arcHeight * Math.sin(Math.PI * t);
+      this.positionCamera_(
+          [startLL[0] + t * deltaLon, startLL[1] + t * deltaLat],
+          startHeading + t * deltaHeading, this.tilt_, this.distance_);
+      this.flightDelay_.start();
+      return;
+    }
+    this.stopFlight_();
+    this.setViewpoint({
+      center: endCenter,
+      heading: endHeading,
+      tilt: endTilt,
+      distance: endDistance
+    });
+    callback(true);
+  }, undefined, this);
+  this.flightDelay_.start();
+};
+
+
+/**
+ * Stops the running flight, if any, leaving the camera where it is. The
+ * callback of the flight is called with `false`.
+ * @api
+ */
+olcs.Camera.prototype.cancelFlight = function() {
+  var callback = this.stopFlight_();
+  if (!goog.isNull(callback)) {
+    callback(false);
+  }
+};
+
+
+/**
+ * @return {?function(boolean)} The callback of the stopped flight, or null
+ *     if there was no running flight.
+ * @private
+ */
+olcs.Camera.prototype.stopFlight_ = function() {
+  if (goog.isNull(this.flightDelay_)) {
+    return null;
+  }
+  var callback = this.flightCallback_;
+  this.flightDelay_.dispose();
+  this.flightDelay_ = null;
+  this.flightCallback_ = null;
+  return callback;
 };
 
 
@@ -458,6 +724,100 @@ olcs.Camera.prototype.updateView = function() {
 };
 
 
+/**
+ * Turns the camera continuously around a coordinate or a feature, looking at
+ * it from a constant distance and tilt, until `stopOrbit` is called or the
+ * camera is moved otherwise, for instance by the user or a flight.
+ * @param {!ol.Coordinate|!ol.Feature} center In the view projection. The
+ *     center of the extent of the geometry of a feature is used.
+ * @param {olcsx.OrbitOptions=} opt_options
+ * @api
+ */
+olcs.Camera.prototype.orbit = function(center, opt_options) {
+  this.cancelFlight();
+  this.stopOrbit();
+  var coordinate;
+  if (center instanceof ol.Feature) {
+    var geometry = center.getGeometry();
+    if (!goog.isDefAndNotNull(geometry)) {
+      return;
+    }
+    coordinate = ol.extent.getCenter(geometry.getExtent());
+  } else {
+    coordinate = center;
+  }
+  var ll = this.toLonLat_(coordinate);
+  goog.asserts.assert(!goog.isNull(ll));
+
+  var options = goog.isDef(opt_options) ? opt_options : {};
+  var distance = goog.isDef(options.distance) ?
+      options.distance : this.distance_;
+  var tilt = goog.isDef(options.tilt) ? options.tilt : this.tilt_;
+  var speed = goog.isDef(options.speed) ? options.speed : Math.PI / 30;
+  var startHeading = this.getHeading() || 0;
+
+  var start = goog.now();
+  var viewMatrix = null;
+  this.orbitCallback_ = goog.isDef(options.callback) ?
+      options.callback : goog.nullFunction;
+  this.orbitDelay_ = new goog.async.AnimationDelay(function(millis) {
+    if (!goog.isNull(viewMatrix) && !viewMatrix.equals(this.cam_.viewMatrix)) {
+      // moved by something else since the last frame
+      this.stopOrbit();
+      return;
+    }
+    this.tilt_ = tilt;
+    this.distance_ = distance;
+    // the heading of the Cesium camera is the opposite of the rotation
+    this.positionCamera_(ll, startHeading - speed * (millis - start) / 1000,
+        tilt, distance);
+    viewMatrix = this.cam_.viewMatrix.clone();
+    this.orbitDelay_.start();
+  }, undefined, this);
+  this.orbitDelay_.start();
+};
+
+
+/**
+ * Stops the running orbit, if any, leaving the camera where it is.
+ * @api
+ */
+olcs.Camera.prototype.stopOrbit = function() {
+  if (goog.isNull(this.orbitDelay_)) {
+    return;
+  }
+  var callback = this.orbitCallback_;
+  this.orbitDelay_.dispose();
+  this.orbitDelay_ = null;
+  this.orbitCallback_ = null;
+  callback();
+};
+
+
+/**
+ * Snaps the resolution and the rotation of the ol.View to its constraints,
+ * for instance to the resolutions of the tile grids, and moves the camera
+ * to match the snapped view.
+ * @api
+ */
+olcs.Camera.prototype.constrainView = function() {
+  if (goog.isNull(this.view_)) {
+    return;
+  }
+  var resolution = this.view_.getResolution();
+  var rotation = this.view_.getRotation();
+  this.viewUpdateInProgress_ = true;
+  if (goog.isDef(resolution)) {
+    this.view_.setResolution(this.view_.constrainResolution(resolution, 0, 0));
+  }
+  if (goog.isDef(rotation)) {
+    this.view_.setRotation(this.view_.constrainRotation(rotation, 0));
+  }
+  this.viewUpdateInProgress_ = false;
+  this.readFromView();
+};
+
+
 /**
  * Check if the underlying camera state has changed and ensure synchronization.
  * @param {boolean=} opt_dontSync Do not synchronize the view.
@@ -469,11 +829,146 @@ olcs.Camera.prototype.checkCameraChange = function(opt_dontSync) {
     this.lastCameraViewMatrix_ = viewMatrix.clone();
     if (opt_dontSync !== true) {
       this.updateView();
+      if (goog.isNull(this.flightDelay_) && goog.isNull(this.orbitDelay_)) {
+        this.applyConstraints_();
+      }
     }
   }
 };
 
 
+/**
+ * Sets the constraints derived from the ol.View which are enforced after the
+ * camera has been moved through the Cesium scene, for instance with the
+ * mouse. The zoom distances of the camera controller are limited and the
+ * camera is corrected by `checkCameraChange`, which olcs.OLCesium calls on
+ * each frame. The setters and the flights are not constrained.
+ * @param {?olcsx.CameraConstraints} constraints Null to remove them, which
+ *     restores the zoom distances of the controller.
+ * @api
+ */
+olcs.Camera.prototype.setConstraints = function(constraints) {
+  // the previous constraints may have limited the zoom distances
+  this.restoreZoomDistances_();
+  this.constraints_ = constraints;
+  if (!goog.isNull(constraints)) {
+    this.saveZoomDistances_();
+    this.applyConstraints_();
+  }
+};
+
+
+/**
+ * @return {?olcsx.CameraConstraints}
+ * @api
+ */
+olcs.Camera.prototype.getConstraints = function() {
+  return this.constraints_;
+};
+
+
+/**
+ * Suspends the constraints, for instance while the camera is moved by the
+ * first-person navigation, which they would keep snapping back.
+ * @param {boolean} paused
+ */
+olcs.Camera.prototype.setConstraintsPaused = function(paused) {
+  this.constraintsPaused_ = paused;
+  this.applyConstraints_();
+};
+
+
+/**
+ * @private
+ */
+olcs.Camera.prototype.saveZoomDistances_ = function() {
+  var sscc = this.scene_.screenSpaceCameraController;
+  this.zoomDistances_ = [sscc.minimumZoomDistance, sscc.maximumZoomDistance];
+};
+
+
+/**
+ * @private
+ */
+olcs.Camera.prototype.restoreZoomDistances_ = function() {
+  if (goog.isNull(this.zoomDistances_)) {
+    return;
+  }
+  var sscc = this.scene_.screenSpaceCameraController;
+  sscc.minimumZoomDistance = this.zoomDistances_[0];
+  sscc.maximumZoomDistance = this.zoomDistances_[1];
+  this.zoomDistances_ = null;
+};
+
+
+/**
+ * Moves the camera back within the constraints, through the view.
+ * @private
+ */
+olcs.Camera.prototype.applyConstraints_ = function() {
+  var constraints = this.constraints_;
+  var view = this.view_;
+  if (goog.isNull(constraints) || goog.isNull(view) ||
+      this.constraintsPaused_) {
+    return;
+  }
+  var center = view.getCenter();
+  var resolution = view.getResolution();
+  if (!goog.isDefAndNotNull(center) || !goog.isDef(resolution)) {
+    return;
+  }
+  var constrained = false;
+
+  if (constraints.center !== false) {
+    var constrainedCenter = view.constrainCenter(center);
+    if (goog.isDef(constrainedCenter) &&
+        (constrainedCenter[0] != center[0] ||
+         constrainedCenter[1] != center[1])) {
+      center = constrainedCenter;
+      constrained = true;
+    }
+  }
+
+  if (goog.isDef(constraints.maxTilt) && this.tilt_ > constraints.maxTilt) {
+    this.tilt_ = constraints.maxTilt;
+    constrained = true;
+  }
+
+  var ll = this.toLonLat_(center);
+  goog.asserts.assert(!goog.isNull(ll));
+  var latitude = goog.math.toRadians(ll[1]);
+
+  if (constraints.resolution !== false) {
+    // the resolution constraint clamps the resolutions out of its range
+    var maxResolution = view.constrainResolution(Infinity);
+    var minResolution = view.constrainResolution(0);
+    if (goog.isDef(maxResolution) && goog.isDef(minResolution)) {
+      var clamped = goog.math.clamp(resolution, minResolution, maxResolution);
+      if (clamped != resolution) {
+        resolution = clamped;
+        constrained = true;
+      }
+      // the controller limits the height of the camera above the globe
+      var cosTilt = Math.cos(this.tilt_);
+      var sscc = this.scene_.screenSpaceCameraController;
+      sscc.minimumZoomDistance = Math.max(this.zoomDistances_[0], cosTilt *
+          this.calcDistanceForResolution_(minResolution, latitude));
+      sscc.maximumZoomDistance = Math.min(this.zoomDistances_[1], cosTilt *
+          this.calcDistanceForResolution_(maxResolution, latitude));
+    }
+  }
+
+  if (constrained) {
+    this.viewUpdateInProgress_ = true;
+    view.setCenter(center);
+    view.setResolution(resolution);
+    this.viewUpdateInProgress_ = false;
+    this.distance_ = this.calcDistanceForResolution_(resolution, latitude);
+    this.updateCamera_();
+  }
+};
+
+
 /**
  * @param {number} resolution Number of map units per pixel.
  * @param {number} latitude Latitude in radians.
@@ -487,7 +982,7 @@ olcs.Camera.prototype.calcDistanceForResolution_ = function(resolution,
   var metersPerUnit = this.view_.getProjection().getMetersPerUnit();
 
   // number of "map units" visible in 2D (vertically)
-  var visibleMapUnits = resolution * canvas.height;
+  var visibleMapUnits = resolution * canvas.clientHeight;
 
   // The metersPerUnit does not take latitude into account, but it should
   // be lower with increasing latitude -- we have to compensate.
@@ -530,7 +1025,7 @@ olcs.Camera.prototype.calcResolutionForDistance_ = function(distance,
   var visibleMeters = 2 * distance * Math.tan(fovy / 2);
   var relativeCircumference = Math.cos(Math.abs(latitude));
   var visibleMapUnits = visibleMeters / metersPerUnit / relativeCircumference;
-  var resolution = visibleMapUnits / canvas.height;
+  var resolution = visibleMapUnits / canvas.clientHeight;
 
   return resolution;
 };
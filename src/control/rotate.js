@@ -0,0 +1,203 @@
+goog.provide('olcs.control.Rotate');
+
+goog.require('goog.async.AnimationDelay');
+goog.require('goog.dom');
+goog.require('goog.dom.classlist');
+goog.require('goog.events');
+goog.require('goog.events.EventType');
+goog.require('goog.math');
+goog.require('ol.animation');
+goog.require('ol.control.Control');
+goog.require('ol.easing');
+
+
+
+/**
+ * Button resetting the rotation to north. When the Cesium scene is enabled,
+ * the heading of the camera is reset and its tilt is kept.
+ * @param {olcsx.control.RotateOptions} options Options.
+ * @constructor
+ * @extends {ol.control.Control}
+ * @api
+ */
+olcs.control.Rotate = function(options) {
+  var className = goog.isDef(options.className) ? options.className :
+      'ol-rotate';
+
+  /**
+   * @type {!olcs.OLCesium}
+   * @private
+   */
+  this.ol3d_ = options.ol3d;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.duration_ = goog.isDef(options.duration) ? options.duration : 250;
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  this.autoHide_ = goog.isDef(options.autoHide) ? options.autoHide : true;
+
+  /**
+   * @type {!Element}
+   * @private
+   */
+  this.label_ = goog.dom.createDom(goog.dom.TagName.SPAN, 'ol-compass',
+      '\u21E7');
+
+  var button = goog.dom.createDom(goog.dom.TagName.BUTTON, {
+    'class': className + '-reset',
+    'type': 'button',
+    'title': 'Reset rotation'
+  }, this.label_);
+  goog.events.listen(button, goog.events.EventType.CLICK,
+      this.handleClick_, false, this);
+
+  /**
+   * @type {!Element}
+   * @private
+   */
+  this.element_ = goog.dom.createDom(goog.dom.TagName.DIV,
+      className + ' ol-unselectable ol-control', button);
+
+  goog.base(this, {
+    element: this.element_,
+    target: options.target
+  });
+
+  /**
+   * @type {?goog.events.Key}
+   * @private
+   */
+  this.postrenderKey_ = null;
+
+  /**
+   * @type {?number}
+   * @private
+   */
+  this.rotation_ = null;
+
+  /**
+   * @type {goog.async.AnimationDelay}
+   * @private
+   */
+  this.animationDelay_ = null;
+};
+goog.inherits(olcs.control.Rotate, ol.control.Control);
+
+
+/**
+ * @inheritDoc
+ */
+olcs.control.Rotate.prototype.setMap = function(map) {
+  var oldMap = this.getMap();
+  if (goog.isDefAndNotNull(oldMap) && !goog.isNull(this.postrenderKey_)) {
+    oldMap.unByKey(this.postrenderKey_);
+    this.postrenderKey_ = null;
+  }
+  goog.base(this, 'setMap', map);
+  if (!goog.isNull(map)) {
+    // the view is synchronized with the camera while in 3D
+    this.postrenderKey_ = map.on('postrender', this.updateLabel_, this);
+  }
+};
+
+
+/**
+ * @param {goog.events.BrowserEvent} event The browser event to handle.
+ * @private
+ */
+olcs.control.Rotate.prototype.handleClick_ = function(event) {
+  event.preventDefault();
+  if (this.ol3d_.getEnabled()) {
+    this.rotate3D_();
+    return;
+  }
+
+  var map = this.getMap();
+  var view = map.getView();
+  if (goog.isNull(view)) {
+    return;
+  }
+  var currentRotation = view.getRotation();
+  if (goog.isDef(currentRotation)) {
+    if (this.duration_ > 0) {
+      currentRotation = currentRotation % (2 * Math.PI);
+      if (currentRotation < -Math.PI) {
+        currentRotation += 2 * Math.PI;
+      }
+      if (currentRotation > Math.PI) {
+        currentRotation -= 2 * Math.PI;
+      }
+      map.beforeRender(ol.animation.rotate({
+        rotation: currentRotation,
+        duration: this.duration_,
+        easing: ol.easing.easeOut
+      }));
+    }
+    view.setRotation(0);
+  }
+};
+
+
+/**
+ * @inheritDoc
+ */
+olcs.control.Rotate.prototype.disposeInternal = function() {
+  goog.dispose(this.animationDelay_);
+  this.animationDelay_ = null;
+  goog.base(this, 'disposeInternal');
+};
+
+
+/**
+ * Turns the camera back to the north, around the center of the screen.
+ * @private
+ */
+olcs.control.Rotate.prototype.rotate3D_ = function() {
+  var camera = this.ol3d_.getCamera();
+  var heading = camera.getHeading();
+  if (!goog.isDef(heading)) {
+    return;
+  }
+  // take the shortest way
+  heading = goog.math.modulo(heading + Math.PI, 2 * Math.PI) - Math.PI;
+  var duration = this.duration_;
+  var start = goog.now();
+  goog.dispose(this.animationDelay_);
+  this.animationDelay_ = new goog.async.AnimationDelay(function(millis) {
+    var progress = duration > 0 ?
+        goog.math.clamp((millis - start) / duration, 0, 1) : 1;
+    camera.setHeading(heading * (1 - ol.easing.easeOut(progress)));
+    this.ol3d_.requestRender();
+    if (progress < 1) {
+      this.animationDelay_.start();
+    }
+  }, undefined, this);
+  this.animationDelay_.start();
+};
+
+
+/**
+ * @private
+ */
+olcs.control.Rotate.prototype.updateLabel_ = function() {
+  var view = this.getMap().getView();
+  var rotation = goog.isNull(view) ? 0 : view.getRotation();
+  if (rotation === this.rotation_) {
+    return;
+  }
+  this.rotation_ = rotation;
+
+  var transform = 'rotate(' + rotation + 'rad)';
+  if (this.autoHide_) {
+    goog.dom.classlist.enable(this.element_, 'ol-hidden', rotation === 0);
+  }
+  this.label_.style.msTransform = transform;
+  this.label_.style.webkitTransform = transform;
+  this.label_.style.transform = transform;
+};
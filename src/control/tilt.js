@@ -0,0 +1,139 @@
+goog.provide('olcs.control.Tilt');
+
+goog.require('goog.dom');
+goog.require('goog.dom.classlist');
+goog.require('goog.events');
+goog.require('goog.events.EventType');
+goog.require('goog.math');
+goog.require('ol.control.Control');
+goog.require('olcs.OLCesiumEventType');
+
+
+
+/**
+ * Buttons tilting the camera up and down. The control is only displayed
+ * while the Cesium scene is enabled.
+ * @param {olcsx.control.TiltOptions} options Options.
+ * @constructor
+ * @extends {ol.control.Control}
+ * @api
+ */
+olcs.control.Tilt = function(options) {
+  var className = goog.isDef(options.className) ? options.className :
+      'olcs-tilt';
+
+  /**
+   * @type {!olcs.OLCesium}
+   * @private
+   */
+  this.ol3d_ = options.ol3d;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.delta_ = goog.isDef(options.delta) ? options.delta : Math.PI / 12;
+
+  var upElement = goog.dom.createDom(goog.dom.TagName.BUTTON, {
+    'class': className + '-up',
+    'type': 'button',
+    'title': 'Tilt up'
+  }, '\u2227');
+  goog.events.listen(upElement, goog.events.EventType.CLICK,
+      goog.partial(olcs.control.Tilt.prototype.tiltByDelta_, this.delta_),
+      false, this);
+
+  var downElement = goog.dom.createDom(goog.dom.TagName.BUTTON, {
+    'class': className + '-down',
+    'type': 'button',
+    'title': 'Tilt down'
+  }, '\u2228');
+  goog.events.listen(downElement, goog.events.EventType.CLICK,
+      goog.partial(olcs.control.Tilt.prototype.tiltByDelta_, -this.delta_),
+      false, this);
+
+  /**
+   * @type {!Element}
+   * @private
+   */
+  this.element_ = goog.dom.createDom(goog.dom.TagName.DIV,
+      className + ' ol-unselectable ol-control', upElement, downElement);
+
+  goog.base(this, {
+    element: this.element_,
+    target: options.target
+  });
+
+  /**
+   * @type {?goog.events.Key}
+   * @private
+   */
+  this.enabledKey_ = null;
+
+  this.updateVisibility_();
+};
+goog.inherits(olcs.control.Tilt, ol.control.Control);
+
+
+/**
+ * @inheritDoc
+ */
+olcs.control.Tilt.prototype.setMap = function(map) {
+  if (!goog.isNull(this.enabledKey_)) {
+    goog.events.unlistenByKey(this.enabledKey_);
+    this.enabledKey_ = null;
+  }
+  goog.base(this, 'setMap', map);
+  if (!goog.isNull(map)) {
+    this.enabledKey_ = goog.events.listen(this.ol3d_,
+        olcs.OLCesiumEventType.CHANGE_ENABLED, this.updateVisibility_, false,
+        this);
+    this.updateVisibility_();
+  }
+};
+
+
+/**
+ * @inheritDoc
+ */
+olcs.control.Tilt.prototype.disposeInternal = function() {
+  if (!goog.isNull(this.enabledKey_)) {
+    goog.events.unlistenByKey(this.enabledKey_);
+    this.enabledKey_ = null;
+  }
+  goog.base(this, 'disposeInternal');
+};
+
+
+/**
+ * Maximum tilt, just above the horizon.
+ * @type {number}
+ * @private
+ */
+olcs.control.Tilt.MAX_TILT_ = Math.PI / 2 - 0.05;
+
+
+/**
+ * @param {number} delta Tilt delta in radians, positive towards the horizon.
+ * @param {goog.events.BrowserEvent} event The browser event to handle.
+ * @private
+ */
+olcs.control.Tilt.prototype.tiltByDelta_ = function(delta, event) {
+  event.preventDefault();
+  if (!this.ol3d_.getEnabled()) {
+    return;
+  }
+  var camera = this.ol3d_.getCamera();
+  camera.setTilt(goog.math.clamp(camera.getTilt() + delta, 0,
+      olcs.control.Tilt.MAX_TILT_));
+  this.ol3d_.requestRender();
+};
+
+
+/**
+ * @private
+ */
+olcs.control.Tilt.prototype.updateVisibility_ = function() {
+  goog.dom.classlist.enable(this.element_, 'ol-hidden',
+      !this.ol3d_.getEnabled());
+};
@@ -0,0 +1,142 @@
+goog.provide('olcs.control.Zoom');
+
+goog.require('goog.async.AnimationDelay');
+goog.require('goog.dom');
+goog.require('goog.events');
+goog.require('goog.events.EventType');
+goog.require('goog.math');
+goog.require('ol.animation');
+goog.require('ol.control.Control');
+goog.require('ol.easing');
+
+
+
+/**
+ * Zoom in and out buttons. When the Cesium scene is enabled, the camera
+ * moves towards the center of the screen, keeping its heading and tilt.
+ * @param {olcsx.control.ZoomOptions} options Options.
+ * @constructor
+ * @extends {ol.control.Control}
+ * @api
+ */
+olcs.control.Zoom = function(options) {
+  var className = goog.isDef(options.className) ? options.className :
+      'ol-zoom';
+
+  /**
+   * @type {!olcs.OLCesium}
+   * @private
+   */
+  this.ol3d_ = options.ol3d;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.delta_ = goog.isDef(options.delta) ? options.delta : 1;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.duration_ = goog.isDef(options.duration) ? options.duration : 250;
+
+  /**
+   * @type {goog.async.AnimationDelay}
+   * @private
+   */
+  this.animationDelay_ = null;
+
+  var inElement = goog.dom.createDom(goog.dom.TagName.BUTTON, {
+    'class': className + '-in',
+    'type': 'button',
+    'title': 'Zoom in'
+  }, '+');
+  goog.events.listen(inElement, goog.events.EventType.CLICK,
+      goog.partial(olcs.control.Zoom.prototype.zoomByDelta_, this.delta_),
+      false, this);
+
+  var outElement = goog.dom.createDom(goog.dom.TagName.BUTTON, {
+    'class': className + '-out',
+    'type': 'button',
+    'title': 'Zoom out'
+  }, '\u2212');
+  goog.events.listen(outElement, goog.events.EventType.CLICK,
+      goog.partial(olcs.control.Zoom.prototype.zoomByDelta_, -this.delta_),
+      false, this);
+
+  var element = goog.dom.createDom(goog.dom.TagName.DIV,
+      className + ' ol-unselectable ol-control', inElement, outElement);
+
+  goog.base(this, {
+    element: element,
+    target: options.target
+  });
+};
+goog.inherits(olcs.control.Zoom, ol.control.Control);
+
+
+/**
+ * @param {number} delta Zoom delta.
+ * @param {goog.events.BrowserEvent} event The browser event to handle.
+ * @private
+ */
+olcs.control.Zoom.prototype.zoomByDelta_ = function(delta, event) {
+  event.preventDefault();
+  if (this.ol3d_.getEnabled()) {
+    this.zoom3D_(delta);
+    return;
+  }
+
+  var map = this.getMap();
+  var view = map.getView();
+  if (goog.isNull(view)) {
+    return;
+  }
+  var currentResolution = view.getResolution();
+  if (goog.isDef(currentResolution)) {
+    if (this.duration_ > 0) {
+      map.beforeRender(ol.animation.zoom({
+        resolution: currentResolution,
+        duration: this.duration_,
+        easing: ol.easing.easeOut
+      }));
+    }
+    view.setResolution(view.constrainResolution(currentResolution, delta));
+  }
+};
+
+
+/**
+ * @inheritDoc
+ */
+olcs.control.Zoom.prototype.disposeInternal = function() {
+  goog.dispose(this.animationDelay_);
+  this.animationDelay_ = null;
+  goog.base(this, 'disposeInternal');
+};
+
+
+/**
+ * Divides the distance to the center of the screen by 2^delta.
+ * @param {number} delta Zoom delta.
+ * @private
+ */
+olcs.control.Zoom.prototype.zoom3D_ = function(delta) {
+  var camera = this.ol3d_.getCamera();
+  var from = camera.getDistance();
+  var to = from * Math.pow(2, -delta);
+  var duration = this.duration_;
+  var start = goog.now();
+  goog.dispose(this.animationDelay_);
+  this.animationDelay_ = new goog.async.AnimationDelay(function(millis) {
+    var progress = duration > 0 ?
+        goog.math.clamp((millis - start) / duration, 0, 1) : 1;
+    camera.setDistance(from + (to - from) * ol.easing.easeOut(progress));
+    this.ol3d_.requestRender();
+    if (progress < 1) {
+      this.animationDelay_.start();
+    }
+  }, undefined, this);
+  this.animationDelay_.start();
+};
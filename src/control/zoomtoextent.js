@@ -0,0 +1,83 @@
+goog.provide('olcs.control.ZoomToExtent');
+
+goog.require('goog.asserts');
+goog.require('goog.dom');
+goog.require('goog.events');
+goog.require('goog.events.EventType');
+goog.require('ol.control.Control');
+
+
+
+/**
+ * Button fitting an extent in the view. When the Cesium scene is enabled,
+ * the extent is fitted in the Cesium canvas: the camera keeps its heading
+ * but looks straight down, a tilted camera would not show the whole extent.
+ * @param {olcsx.control.ZoomToExtentOptions} options Options.
+ * @constructor
+ * @extends {ol.control.Control}
+ * @api
+ */
+olcs.control.ZoomToExtent = function(options) {
+  var className = goog.isDef(options.className) ? options.className :
+      'ol-zoom-extent';
+
+  /**
+   * @type {!olcs.OLCesium}
+   * @private
+   */
+  this.ol3d_ = options.ol3d;
+
+  /**
+   * @type {ol.Extent|undefined}
+   * @private
+   */
+  this.extent_ = options.extent;
+
+  var button = goog.dom.createDom(goog.dom.TagName.BUTTON, {
+    'type': 'button',
+    'title': 'Fit to extent'
+  }, 'E');
+  goog.events.listen(button, goog.events.EventType.CLICK,
+      this.handleClick_, false, this);
+
+  var element = goog.dom.createDom(goog.dom.TagName.DIV,
+      className + ' ol-unselectable ol-control', button);
+
+  goog.base(this, {
+    element: element,
+    target: options.target
+  });
+};
+goog.inherits(olcs.control.ZoomToExtent, ol.control.Control);
+
+
+/**
+ * @param {goog.events.BrowserEvent} event The browser event to handle.
+ * @private
+ */
+olcs.control.ZoomToExtent.prototype.handleClick_ = function(event) {
+  event.preventDefault();
+  var map = this.getMap();
+  var view = map.getView();
+  if (goog.isNull(view)) {
+    return;
+  }
+  var extent = goog.isDef(this.extent_) ?
+      this.extent_ : view.getProjection().getExtent();
+
+  var enabled = this.ol3d_.getEnabled();
+  var size;
+  if (enabled) {
+    var canvas = this.ol3d_.getCesiumScene().canvas;
+    size = [canvas.clientWidth, canvas.clientHeight];
+  } else {
+    size = map.getSize();
+  }
+  goog.asserts.assert(goog.isDef(size));
+  view.fitExtent(extent, size);
+  if (enabled) {
+    // the camera follows the view, keeping the distance for the resolution
+    this.ol3d_.getCamera().setTilt(0);
+  }
+  this.ol3d_.requestRender();
+};
@@ -27,7 +27,8 @@ olcs.core.computePixelSizeAtCoordinate = function(scene, target) {
   var camera = scene.camera;
   var canvas = scene.canvas;
   var frustum = camera.frustum;
-  var canvasDimensions = new Cesium.Cartesian2(canvas.width, canvas.height);
+  var canvasDimensions = new Cesium.Cartesian2(canvas.clientWidth,
+      canvas.clientHeight);
   var distance = Cesium.Cartesian3.magnitude(Cesium.Cartesian3.subtract(
       camera.position, target, new Cesium.Cartesian3()));
   var pixelSize = frustum.getPixelSize(canvasDimensions, distance);
@@ -175,7 +176,8 @@ olcs.core.pickOnTerrainOrEllipsoid = function(scene, pixel) {
  */
 olcs.core.pickBottomPoint = function(scene) {
   var canvas = scene.canvas;
-  var bottom = new Cesium.Cartesian2(canvas.width / 2, canvas.height);
+  var bottom = new Cesium.Cartesian2(canvas.clientWidth / 2,
+      canvas.clientHeight);
   return olcs.core.pickOnTerrainOrEllipsoid(scene, bottom);
 };
 
@@ -188,11 +190,69 @@ olcs.core.pickBottomPoint = function(scene) {
  */
 olcs.core.pickCenterPoint = function(scene) {
   var canvas = scene.canvas;
-  var center = new Cesium.Cartesian2(canvas.width / 2, canvas.height / 2);
+  var center = new Cesium.Cartesian2(canvas.clientWidth / 2,
+      canvas.clientHeight / 2);
   return olcs.core.pickOnTerrainOrEllipsoid(scene, center);
 };
 
 
+/**
+ * Get the credits of the terrain provider, of the visible imagery layers and
+ * the default credits of the given scene.
+ * The default credits are read from the private credit display of Cesium.
+ * @param {!Cesium.Scene} scene
+ * @return {!Array.<!Cesium.Credit>}
+ * @api
+ */
+olcs.core.getSceneCredits = function(scene) {
+  var credits = [];
+  var add = function(credit) {
+    if (goog.isDefAndNotNull(credit) &&
+        !goog.array.contains(credits, credit)) {
+      credits.push(credit);
+    }
+  };
+
+  var terrainProvider = scene.globe.terrainProvider;
+  if (goog.isDefAndNotNull(terrainProvider) && terrainProvider.ready) {
+    add(terrainProvider.credit);
+  }
+
+  var imageryLayers = scene.imageryLayers;
+  for (var i = 0; i < imageryLayers.length; ++i) {
+    var layer = imageryLayers.get(i);
+    var provider = layer.imageryProvider;
+    if (layer.show && provider.ready) {
+      add(provider.credit);
+    }
+  }
+
+  var frameState = scene['_frameState'];
+  var creditDisplay = goog.isDef(frameState) ?
+      frameState['creditDisplay'] : undefined;
+  if (goog.isDef(creditDisplay)) {
+    goog.array.forEach(creditDisplay['_defaultImageCredits'] || [], add);
+    goog.array.forEach(creditDisplay['_defaultTextCredits'] || [], add);
+  }
+  return credits;
+};
+
+
+/**
+ * Get the number of globe tiles which are waiting to be loaded.
+ * This relies on the private tile load queue of Cesium.
+ * @param {!Cesium.Globe} globe
+ * @return {number}
+ * @api
+ */
+olcs.core.getPendingTileCount = function(globe) {
+  var surface = globe['_surface'];
+  var queue = goog.isDefAndNotNull(surface) ?
+      surface['_tileLoadQueue'] : undefined;
+  return goog.isDefAndNotNull(queue) ? queue.length : 0;
+};
+
+
 /**
  * Compute the signed tilt angle on globe, between the opposite of the
  * camera direction and the target normal. Return undefined if there is no
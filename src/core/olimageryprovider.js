@@ -43,9 +43,14 @@ olcs.core.OLImageryProvider = function(source, opt_fallbackProj) {
   this.emptyCanvas_.width = 1;
   this.emptyCanvas_.height = 1;
 
-  this.source_.on(goog.events.EventType.CHANGE, function(e) {
-    this.handleSourceChanged_();
-  }, this);
+  /**
+   * @type {goog.events.Key}
+   * @private
+   */
+  this.sourceListenKey_ = this.source_.on(goog.events.EventType.CHANGE,
+      function(e) {
+        this.handleSourceChanged_();
+      }, this);
   this.handleSourceChanged_();
 };
 goog.inherits(olcs.core.OLImageryProvider, Cesium.ImageryProvider);
@@ -223,3 +228,11 @@ olcs.core.OLImageryProvider.prototype.requestImage = function(x, y, level) {
 };
 goog.exportProperty(olcs.core.OLImageryProvider.prototype, 'requestImage',
                     olcs.core.OLImageryProvider.prototype.requestImage);
+
+
+/**
+ * Unlistens the source. The provider must not be used afterwards.
+ */
+olcs.core.OLImageryProvider.prototype.destroy = function() {
+  this.source_.unByKey(this.sourceListenKey_);
+};
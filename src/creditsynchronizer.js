@@ -0,0 +1,258 @@
+goog.provide('olcs.CreditSynchronizer');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.string');
+goog.require('olcs.core');
+
+
+
+/**
+ * Shows the credits of the Cesium scene in the ol.control.Attribution of the
+ * map, whose layers may be hidden by the scene. The credits are refreshed
+ * after each rendering of the scene while active. Those already displayed
+ * by the control (for instance from the attributions of the 2D sources) are
+ * skipped.
+ * @param {!ol.Map} map
+ * @param {!Cesium.Scene} scene
+ * @constructor
+ * @api
+ */
+olcs.CreditSynchronizer = function(map, scene) {
+  /**
+   * @type {!ol.Map}
+   * @private
+   */
+  this.map_ = map;
+
+  /**
+   * @type {!Cesium.Scene}
+   * @private
+   */
+  this.scene_ = scene;
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  this.active_ = false;
+
+  /**
+   * The list items added to the attribution control.
+   * @type {!Array.<!Element>}
+   * @private
+   */
+  this.items_ = [];
+
+  /**
+   * Key of the displayed credits, to skip the unchanged ones.
+   * @type {string}
+   * @private
+   */
+  this.renderedKey_ = '';
+
+  /**
+   * @type {Element}
+   * @private
+   */
+  this.attributionElement_ = null;
+
+  /**
+   * Display of the attribution control before it was forced visible.
+   * @type {?string}
+   * @private
+   */
+  this.attributionDisplay_ = null;
+
+  /**
+   * @type {?function()}
+   * @private
+   */
+  this.removePostRenderListener_ = null;
+};
+
+
+/**
+ * @return {boolean}
+ * @api
+ */
+olcs.CreditSynchronizer.prototype.getActive = function() {
+  return this.active_;
+};
+
+
+/**
+ * Starts or stops showing the credits in the attribution control.
+ * @param {boolean} active
+ * @api
+ */
+olcs.CreditSynchronizer.prototype.setActive = function(active) {
+  if (this.active_ == active) {
+    return;
+  }
+  this.active_ = active;
+  if (active) {
+    this.listenPostRender_();
+  } else {
+    this.unlistenPostRender_();
+    this.clear_();
+  }
+};
+
+
+/**
+ * Removes the credits from the attribution control of the current map and
+ * shows them in the one of the given map instead, if active.
+ * @param {!ol.Map} map
+ */
+olcs.CreditSynchronizer.prototype.setMap = function(map) {
+  this.clear_();
+  this.map_ = map;
+};
+
+
+/**
+ * @param {!Cesium.Scene} scene
+ */
+olcs.CreditSynchronizer.prototype.setScene = function(scene) {
+  this.unlistenPostRender_();
+  this.scene_ = scene;
+  if (this.active_) {
+    this.listenPostRender_();
+  }
+};
+
+
+/**
+ * @private
+ */
+olcs.CreditSynchronizer.prototype.listenPostRender_ = function() {
+  this.removePostRenderListener_ =
+      this.scene_.postRender.addEventListener(this.update_, this);
+};
+
+
+/**
+ * @private
+ */
+olcs.CreditSynchronizer.prototype.unlistenPostRender_ = function() {
+  if (!goog.isNull(this.removePostRenderListener_)) {
+    this.removePostRenderListener_();
+    this.removePostRenderListener_ = null;
+  }
+};
+
+
+/**
+ * @private
+ */
+olcs.CreditSynchronizer.prototype.update_ = function() {
+  var attribution = goog.dom.getElementByClass('ol-attribution',
+      this.map_.getViewport());
+  var ul = goog.isNull(attribution) ? null :
+      goog.dom.getElementsByTagNameAndClass(goog.dom.TagName.UL, null,
+          attribution)[0];
+  if (!goog.isDefAndNotNull(ul)) {
+    this.clear_();
+    return;
+  }
+
+  // texts of the attributions displayed by the control itself
+  var displayed = [];
+  goog.array.forEach(goog.dom.getChildren(ul), function(el, i, arr) {
+    if (!goog.array.contains(this.items_, el) &&
+        el.style.display != 'none') {
+      displayed.push(olcs.CreditSynchronizer.normalize_(
+          goog.dom.getTextContent(el)));
+    }
+  }, this);
+
+  var credits = goog.array.filter(olcs.core.getSceneCredits(this.scene_),
+      function(credit, i, arr) {
+        var text = credit.getText();
+        return !goog.isDefAndNotNull(text) || !goog.array.contains(displayed,
+            olcs.CreditSynchronizer.normalize_(text));
+      });
+
+  var key = goog.array.map(credits, function(credit, i, arr) {
+    return [credit.getText(), credit.getImageUrl(), credit.getLink()].join();
+  }).join('\n');
+  if (attribution !== this.attributionElement_ || key != this.renderedKey_) {
+    this.clear_();
+    this.renderedKey_ = key;
+    if (credits.length == 0) {
+      return;
+    }
+    goog.array.forEach(credits, function(credit, i, arr) {
+      var item = olcs.CreditSynchronizer.createItem_(credit);
+      goog.dom.appendChild(ul, item);
+      this.items_.push(item);
+    }, this);
+    this.attributionElement_ = attribution;
+    this.attributionDisplay_ = attribution.style.display;
+  }
+
+  // the control hides itself when the map has no attribution to display
+  if (this.items_.length > 0 && attribution.style.display == 'none') {
+    attribution.style.display = '';
+  }
+};
+
+
+/**
+ * Removes the added items and restores the attribution control.
+ * @private
+ */
+olcs.CreditSynchronizer.prototype.clear_ = function() {
+  goog.array.forEach(this.items_, goog.dom.removeNode);
+  this.items_.length = 0;
+  this.renderedKey_ = '';
+  if (!goog.isNull(this.attributionElement_)) {
+    this.attributionElement_.style.display = this.attributionDisplay_ || '';
+    this.attributionElement_ = null;
+    this.attributionDisplay_ = null;
+  }
+};
+
+
+/**
+ * @param {string} text
+ * @return {string}
+ * @private
+ */
+olcs.CreditSynchronizer.normalize_ = function(text) {
+  return goog.string.collapseWhitespace(text);
+};
+
+
+/**
+ * @param {!Cesium.Credit} credit
+ * @return {!Element}
+ * @private
+ */
+olcs.CreditSynchronizer.createItem_ = function(credit) {
+  var imageUrl = credit.getImageUrl();
+  var link = credit.getLink();
+  var content = goog.isDefAndNotNull(imageUrl) ?
+      goog.dom.createDom(goog.dom.TagName.IMG, {
+        src: imageUrl,
+        title: credit.getText() || ''
+      }) :
+      goog.dom.createTextNode(credit.getText() || '');
+  if (goog.isDefAndNotNull(link)) {
+    content = goog.dom.createDom(goog.dom.TagName.A, {
+      href: link,
+      target: '_blank'
+    }, content);
+  }
+  return goog.dom.createDom(goog.dom.TagName.LI, 'olcs-credit', content);
+};
+
+
+/**
+ * Removes the credits from the attribution control.
+ * The synchronizer must not be used afterwards.
+ */
+olcs.CreditSynchronizer.prototype.destroy = function() {
+  this.setActive(false);
+};
@@ -33,6 +33,16 @@ olcs.FeatureConverter = function(scene) {
 };
 
 
+/**
+ * Sets the scene in which the next primitives are created.
+ * @param {!Cesium.Scene} scene Cesium scene.
+ * @api
+ */
+olcs.FeatureConverter.prototype.setScene = function(scene) {
+  this.scene = scene;
+};
+
+
 /**
  * @param {ol.layer.Vector} layer
  * @param {!ol.Feature} feature Ol3 feature.
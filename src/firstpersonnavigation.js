@@ -0,0 +1,400 @@
+goog.provide('olcs.FirstPersonNavigation');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.events');
+goog.require('goog.events.EventTarget');
+goog.require('goog.events.EventType');
+goog.require('goog.events.KeyCodes');
+goog.require('goog.math');
+goog.require('goog.math.Coordinate');
+goog.require('goog.object');
+
+
+
+/**
+ * Moves the camera of the scene like a first-person viewer: the arrow keys
+ * or WASD move the camera, Q and E move it up and down, and dragging the
+ * canvas with the left button looks around. The keys are only handled
+ * while the canvas has the focus, which it gets when clicked. When walking,
+ * the camera stays at `EYE_HEIGHT` above the terrain; otherwise it flies
+ * freely in the looking direction.
+ * The camera controller of the scene should be disabled while active.
+ * A `change` event is dispatched on each user input.
+ * @param {!Cesium.Scene} scene
+ * @constructor
+ * @extends {goog.events.EventTarget}
+ * @api
+ */
+olcs.FirstPersonNavigation = function(scene) {
+  goog.base(this);
+
+  /**
+   * @type {!Cesium.Scene}
+   * @private
+   */
+  this.scene_ = scene;
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  this.walking_ = false;
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  this.active_ = false;
+
+  /**
+   * Key codes of the pressed keys.
+   * @type {!Object.<number, boolean>}
+   * @private
+   */
+  this.pressedKeys_ = {};
+
+  /**
+   * Mouse movement since the last frame, in pixels.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.lookDelta_ = [0, 0];
+
+  /**
+   * @type {?goog.math.Coordinate}
+   * @private
+   */
+  this.lastMousePosition_ = null;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.lastFrameTime_ = 0;
+
+  /**
+   * @type {!Array.<goog.events.Key>}
+   * @private
+   */
+  this.listenKeys_ = [];
+
+  /**
+   * @type {?function()}
+   * @private
+   */
+  this.removePreRenderListener_ = null;
+};
+goog.inherits(olcs.FirstPersonNavigation, goog.events.EventTarget);
+
+
+/**
+ * Height of the camera above the terrain when walking, in meters.
+ * @type {number}
+ */
+olcs.FirstPersonNavigation.EYE_HEIGHT = 1.7;
+
+
+/**
+ * Walking speed in meters per second.
+ * @type {number}
+ */
+olcs.FirstPersonNavigation.WALK_SPEED = 5;
+
+
+/**
+ * Flying speed, as a ratio of the height of the camera per second.
+ * @type {number}
+ */
+olcs.FirstPersonNavigation.FLY_SPEED = 1;
+
+
+/**
+ * Looking rotation in radians per pixel of mouse movement.
+ * @type {number}
+ */
+olcs.FirstPersonNavigation.LOOK_SPEED = 0.003;
+
+
+/**
+ * Movements along the forward, right and up axes bound to the keys.
+ * @type {!Object.<number, !Array.<number>>}
+ * @private
+ */
+olcs.FirstPersonNavigation.KEY_MOVES_ = goog.object.create(
+    goog.events.KeyCodes.UP, [1, 0, 0],
+    goog.events.KeyCodes.W, [1, 0, 0],
+    goog.events.KeyCodes.DOWN, [-1, 0, 0],
+    goog.events.KeyCodes.S, [-1, 0, 0],
+    goog.events.KeyCodes.RIGHT, [0, 1, 0],
+    goog.events.KeyCodes.D, [0, 1, 0],
+    goog.events.KeyCodes.LEFT, [0, -1, 0],
+    goog.events.KeyCodes.A, [0, -1, 0],
+    goog.events.KeyCodes.E, [0, 0, 1],
+    goog.events.KeyCodes.Q, [0, 0, -1]);
+
+
+/**
+ * @return {boolean}
+ * @api
+ */
+olcs.FirstPersonNavigation.prototype.getWalking = function() {
+  return this.walking_;
+};
+
+
+/**
+ * @param {boolean} walking Whether to keep the camera at eye height above
+ *     the terrain, instead of flying.
+ * @api
+ */
+olcs.FirstPersonNavigation.prototype.setWalking = function(walking) {
+  this.walking_ = walking;
+  this.changed_();
+};
+
+
+/**
+ * @return {boolean}
+ * @api
+ */
+olcs.FirstPersonNavigation.prototype.getActive = function() {
+  return this.active_;
+};
+
+
+/**
+ * Starts or stops handling the keyboard and the mouse.
+ * @param {boolean} active
+ * @api
+ */
+olcs.FirstPersonNavigation.prototype.setActive = function(active) {
+  if (this.active_ == active) {
+    return;
+  }
+  this.active_ = active;
+  var canvas = this.scene_.canvas;
+  if (active) {
+    var doc = goog.dom.getOwnerDocument(canvas);
+    // the keys of the rest of the page are left alone
+    goog.dom.setFocusableTabIndex(canvas, true);
+    this.listenKeys_ = [
+      goog.events.listen(canvas, goog.events.EventType.KEYDOWN,
+          this.handleKey_, false, this),
+      goog.events.listen(canvas, goog.events.EventType.KEYUP,
+          this.handleKey_, false, this),
+      goog.events.listen(canvas, goog.events.EventType.BLUR,
+          this.handleBlur_, false, this),
+      goog.events.listen(canvas, goog.events.EventType.MOUSEDOWN,
+          this.handleMouseDown_, false, this),
+      goog.events.listen(doc, goog.events.EventType.MOUSEMOVE,
+          this.handleMouseMove_, false, this),
+      goog.events.listen(doc, goog.events.EventType.MOUSEUP,
+          this.handleMouseUp_, false, this)
+    ];
+    this.listenPreRender_();
+  } else {
+    goog.array.forEach(this.listenKeys_, goog.events.unlistenByKey);
+    this.listenKeys_.length = 0;
+    goog.dom.setFocusableTabIndex(canvas, false);
+    this.unlistenPreRender_();
+    this.pressedKeys_ = {};
+    this.lastMousePosition_ = null;
+  }
+};
+
+
+/**
+ * @param {!Cesium.Scene} scene
+ */
+olcs.FirstPersonNavigation.prototype.setScene = function(scene) {
+  var active = this.active_;
+  this.setActive(false);
+  this.scene_ = scene;
+  this.setActive(active);
+};
+
+
+/**
+ * @private
+ */
+olcs.FirstPersonNavigation.prototype.listenPreRender_ = function() {
+  this.lastFrameTime_ = goog.now();
+  this.removePreRenderListener_ =
+      this.scene_.preRender.addEventListener(this.update_, this);
+};
+
+
+/**
+ * @private
+ */
+olcs.FirstPersonNavigation.prototype.unlistenPreRender_ = function() {
+  if (!goog.isNull(this.removePreRenderListener_)) {
+    this.removePreRenderListener_();
+    this.removePreRenderListener_ = null;
+  }
+};
+
+
+/**
+ * @param {goog.events.BrowserEvent} e
+ * @private
+ */
+olcs.FirstPersonNavigation.prototype.handleKey_ = function(e) {
+  if (!goog.isDef(olcs.FirstPersonNavigation.KEY_MOVES_[e.keyCode])) {
+    return;
+  }
+  e.preventDefault();
+  if (e.type == goog.events.EventType.KEYDOWN) {
+    this.pressedKeys_[e.keyCode] = true;
+  } else {
+    delete this.pressedKeys_[e.keyCode];
+  }
+  this.changed_();
+};
+
+
+/**
+ * The key up events are not received anymore, stop moving.
+ * @param {goog.events.BrowserEvent} e
+ * @private
+ */
+olcs.FirstPersonNavigation.prototype.handleBlur_ = function(e) {
+  this.pressedKeys_ = {};
+  this.changed_();
+};
+
+
+/**
+ * @param {goog.events.BrowserEvent} e
+ * @private
+ */
+olcs.FirstPersonNavigation.prototype.handleMouseDown_ = function(e) {
+  if (e.isMouseActionButton()) {
+    // the default action, which would focus the canvas, selects text
+    e.preventDefault();
+    this.scene_.canvas.focus();
+    this.lastMousePosition_ = new goog.math.Coordinate(e.clientX, e.clientY);
+  }
+};
+
+
+/**
+ * @param {goog.events.BrowserEvent} e
+ * @private
+ */
+olcs.FirstPersonNavigation.prototype.handleMouseMove_ = function(e) {
+  if (goog.isNull(this.lastMousePosition_)) {
+    return;
+  }
+  this.lookDelta_[0] += e.clientX - this.lastMousePosition_.x;
+  this.lookDelta_[1] += e.clientY - this.lastMousePosition_.y;
+  this.lastMousePosition_ = new goog.math.Coordinate(e.clientX, e.clientY);
+  this.changed_();
+};
+
+
+/**
+ * @param {goog.events.BrowserEvent} e
+ * @private
+ */
+olcs.FirstPersonNavigation.prototype.handleMouseUp_ = function(e) {
+  this.lastMousePosition_ = null;
+};
+
+
+/**
+ * Moves the camera according to the inputs since the last frame.
+ * @private
+ */
+olcs.FirstPersonNavigation.prototype.update_ = function() {
+  var now = goog.now();
+  // do not jump after a pause of the rendering
+  var dt = Math.min(now - this.lastFrameTime_, 100) / 1000;
+  this.lastFrameTime_ = now;
+
+  var move = [0, 0, 0];
+  goog.object.forEach(this.pressedKeys_, function(pressed, keyCode, obj) {
+    var keyMove = olcs.FirstPersonNavigation.KEY_MOVES_[keyCode];
+    for (var i = 0; i < 3; ++i) {
+      move[i] += keyMove[i];
+    }
+  });
+  var walking = this.walking_;
+  if (move[0] == 0 && move[1] == 0 && move[2] == 0 &&
+      this.lookDelta_[0] == 0 && this.lookDelta_[1] == 0 && !walking) {
+    return;
+  }
+
+  var camera = this.scene_.camera;
+  var globe = this.scene_.globe;
+  var lookSpeed = olcs.FirstPersonNavigation.LOOK_SPEED;
+  var heading = camera.heading + this.lookDelta_[0] * lookSpeed;
+  var pitch = goog.math.clamp(camera.pitch - this.lookDelta_[1] * lookSpeed,
+      -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+  this.lookDelta_[0] = this.lookDelta_[1] = 0;
+
+  var carto = camera.positionCartographic.clone();
+  var groundHeight = goog.isDefAndNotNull(globe) ?
+      globe.getHeight(carto) : undefined;
+  groundHeight = goog.isDef(groundHeight) ? groundHeight : 0;
+
+  // east, north and up distances in meters
+  var east, north, up;
+  if (walking) {
+    var distance = olcs.FirstPersonNavigation.WALK_SPEED * dt;
+    east = distance * (move[0] * Math.sin(heading) +
+        move[1] * Math.cos(heading));
+    north = distance * (move[0] * Math.cos(heading) -
+        move[1] * Math.sin(heading));
+    up = 0;
+  } else {
+    var speed = olcs.FirstPersonNavigation.FLY_SPEED *
+        Math.max(carto.height - groundHeight, 10);
+    var forward = speed * dt * move[0];
+    var horizontal = forward * Math.cos(pitch);
+    var right = speed * dt * move[1];
+    east = horizontal * Math.sin(heading) + right * Math.cos(heading);
+    north = horizontal * Math.cos(heading) - right * Math.sin(heading);
+    up = forward * Math.sin(pitch) + speed * dt * move[2];
+  }
+
+  var radius = Cesium.Ellipsoid.WGS84.maximumRadius;
+  carto.latitude = goog.math.clamp(carto.latitude + north / radius,
+      -Math.PI / 2, Math.PI / 2);
+  carto.longitude += east / (radius * Math.max(Math.cos(carto.latitude),
+      0.01));
+  if (walking) {
+    var height = goog.isDefAndNotNull(globe) ? globe.getHeight(carto) : 0;
+    carto.height = (goog.isDef(height) ? height : groundHeight) +
+        olcs.FirstPersonNavigation.EYE_HEIGHT;
+  } else {
+    // do not go underground
+    carto.height = Math.max(carto.height + up,
+        groundHeight + olcs.FirstPersonNavigation.EYE_HEIGHT);
+  }
+
+  camera.setView({
+    positionCartographic: carto,
+    heading: heading,
+    pitch: pitch,
+    roll: 0
+  });
+};
+
+
+/**
+ * @private
+ */
+olcs.FirstPersonNavigation.prototype.changed_ = function() {
+  this.dispatchEvent(goog.events.EventType.CHANGE);
+};
+
+
+/**
+ * Stops handling the inputs. The navigation must not be used afterwards.
+ */
+olcs.FirstPersonNavigation.prototype.destroy = function() {
+  this.setActive(false);
+  this.removeAllListeners();
+};
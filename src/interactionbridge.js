@@ -0,0 +1,257 @@
+goog.provide('olcs.InteractionBridge');
+
+goog.require('goog.array');
+goog.require('goog.events.EventTarget');
+goog.require('goog.events.EventType');
+goog.require('goog.math');
+goog.require('ol.interaction.Interaction');
+goog.require('ol.proj');
+goog.require('olcs.core');
+
+
+
+/**
+ * Keeps a selection of ol3 interactions (Select, Draw, Modify, DragBox...)
+ * working while the Cesium scene covers the map.
+ * The pointer events on the Cesium canvas bubble up to the map viewport, so
+ * the map still creates browser events for them. While the bridge is active,
+ * their coordinate is replaced by the position picked on the globe and their
+ * pixel by the pixel of this coordinate on the (synchronized) 2D map.
+ * Events which do not hit the globe are not handed to the interactions.
+ * The camera controller of the scene ignores the inputs from a pointer down
+ * stopped by a bridged interaction (for instance the start of a DragBox) to
+ * the next pointer up.
+ * A `change` event is dispatched when the bridged interactions change.
+ * @param {!ol.Map} map
+ * @param {!Cesium.Scene} scene
+ * @constructor
+ * @extends {goog.events.EventTarget}
+ * @api
+ */
+olcs.InteractionBridge = function(map, scene) {
+  goog.base(this);
+
+  /**
+   * @type {!ol.Map}
+   * @private
+   */
+  this.map_ = map;
+
+  /**
+   * @type {!Cesium.Scene}
+   * @private
+   */
+  this.scene_ = scene;
+
+  /**
+   * @type {!Array.<ol.interaction.Interaction>}
+   * @private
+   */
+  this.interactions_ = [];
+
+  /**
+   * @type {!Array}
+   * @private
+   */
+  this.listenKeys_ = [];
+
+  /**
+   * Whether the inputs of the camera controller have been disabled by a
+   * pointer down.
+   * @type {boolean}
+   * @private
+   */
+  this.cameraPaused_ = false;
+
+  /**
+   * Added as the last interaction of the map while active: the pointer down
+   * events reaching it have not been stopped by the bridged interactions.
+   * @type {!ol.interaction.Interaction}
+   * @private
+   */
+  this.cameraInteraction_ = new ol.interaction.Interaction({
+    handleEvent: goog.bind(function(e) {
+      if (e.type == 'pointerdown') {
+        this.resumeCamera_();
+      }
+      return true;
+    }, this)
+  });
+};
+goog.inherits(olcs.InteractionBridge, goog.events.EventTarget);
+
+
+/**
+ * Types of the map browser events which are rewritten.
+ * @type {!Array.<string>}
+ * @private
+ */
+olcs.InteractionBridge.EVENT_TYPES_ = [
+  'click',
+  'dblclick',
+  'pointerdown',
+  'pointerdrag',
+  'pointermove',
+  'pointerup',
+  'singleclick'
+];
+
+
+/**
+ * @param {ol.interaction.Interaction} interaction Interaction of the map
+ *     to keep active when the Cesium scene covers the map.
+ * @api
+ */
+olcs.InteractionBridge.prototype.addInteraction = function(interaction) {
+  if (!goog.array.contains(this.interactions_, interaction)) {
+    this.interactions_.push(interaction);
+    this.dispatchEvent(goog.events.EventType.CHANGE);
+  }
+};
+
+
+/**
+ * @param {ol.interaction.Interaction} interaction
+ * @return {boolean} Whether the interaction was bridged.
+ * @api
+ */
+olcs.InteractionBridge.prototype.removeInteraction = function(interaction) {
+  var removed = goog.array.remove(this.interactions_, interaction);
+  if (removed) {
+    this.dispatchEvent(goog.events.EventType.CHANGE);
+  }
+  return removed;
+};
+
+
+/**
+ * @return {!Array.<ol.interaction.Interaction>}
+ * @api
+ */
+olcs.InteractionBridge.prototype.getInteractions = function() {
+  return this.interactions_;
+};
+
+
+/**
+ * @param {ol.interaction.Interaction} interaction
+ * @return {boolean}
+ * @api
+ */
+olcs.InteractionBridge.prototype.isBridged = function(interaction) {
+  return goog.array.contains(this.interactions_, interaction);
+};
+
+
+/**
+ * Starts or stops rewriting the map browser events.
+ * @param {boolean} active
+ */
+olcs.InteractionBridge.prototype.setActive = function(active) {
+  if (active === (this.listenKeys_.length > 0)) {
+    return;
+  }
+  if (active) {
+    goog.array.forEach(olcs.InteractionBridge.EVENT_TYPES_,
+        function(type, i, arr) {
+          this.listenKeys_.push(
+              this.map_.on(type, this.handleMapBrowserEvent_, this));
+        }, this);
+    // the interactions handle the events from the last one
+    this.map_.getInteractions().insertAt(0, this.cameraInteraction_);
+  } else {
+    goog.array.forEach(this.listenKeys_, this.map_.unByKey);
+    this.listenKeys_.length = 0;
+    this.map_.getInteractions().remove(this.cameraInteraction_);
+    this.resumeCamera_();
+  }
+};
+
+
+/**
+ * Rewrites the browser events of another map. The bridged interactions are
+ * kept, they are only used once added to this map.
+ * @param {!ol.Map} map
+ */
+olcs.InteractionBridge.prototype.setMap = function(map) {
+  var active = this.listenKeys_.length > 0;
+  this.setActive(false);
+  this.map_ = map;
+  this.setActive(active);
+};
+
+
+/**
+ * @param {!Cesium.Scene} scene
+ */
+olcs.InteractionBridge.prototype.setScene = function(scene) {
+  this.resumeCamera_();
+  this.scene_ = scene;
+};
+
+
+/**
+ * @param {ol.MapBrowserEvent} e
+ * @return {boolean|undefined} `false` to keep the interactions from
+ *     handling the event.
+ * @private
+ */
+olcs.InteractionBridge.prototype.handleMapBrowserEvent_ = function(e) {
+  if (e.type == 'pointerup') {
+    this.resumeCamera_();
+  }
+  var view = this.map_.getView();
+  if (goog.isNull(view)) {
+    return;
+  }
+  // the canvas fills the viewport, the pixels are the same
+  var position = new Cesium.Cartesian2(e.pixel[0], e.pixel[1]);
+  var target = olcs.core.pickOnTerrainOrEllipsoid(this.scene_, position);
+  if (!goog.isDef(target)) {
+    // in the sky
+    return false;
+  }
+  var carto = Cesium.Ellipsoid.WGS84.cartesianToCartographic(target);
+  var coordinate = ol.proj.transform([
+    goog.math.toDegrees(carto.longitude),
+    goog.math.toDegrees(carto.latitude)
+  ], 'EPSG:4326', view.getProjection());
+
+  var pixel = this.map_.getPixelFromCoordinate(coordinate);
+  if (goog.isNull(pixel)) {
+    // the map has not been rendered yet
+    return false;
+  }
+  e.coordinate = coordinate;
+  e.pixel = pixel;
+
+  var sscc = this.scene_.screenSpaceCameraController;
+  if (e.type == 'pointerdown' && sscc.enableInputs) {
+    // resumed by the camera interaction unless the event is stopped before
+    sscc.enableInputs = false;
+    this.cameraPaused_ = true;
+  }
+};
+
+
+/**
+ * Enables again the inputs of the camera controller disabled by a pointer
+ * down.
+ * @private
+ */
+olcs.InteractionBridge.prototype.resumeCamera_ = function() {
+  if (this.cameraPaused_) {
+    this.scene_.screenSpaceCameraController.enableInputs = true;
+    this.cameraPaused_ = false;
+  }
+};
+
+
+/**
+ * Stops rewriting the events and forgets the bridged interactions.
+ */
+olcs.InteractionBridge.prototype.destroy = function() {
+  this.setActive(false);
+  this.interactions_.length = 0;
+  this.removeAllListeners();
+};
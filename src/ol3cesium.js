@@ -1,22 +1,155 @@
 goog.provide('olcs.OLCesium');
+goog.provide('olcs.OLCesiumEventType');
+goog.provide('olcs.OLCesiumLayout');
+goog.provide('olcs.OLCesiumNavigationMode');
 
+goog.require('goog.Promise');
+goog.require('goog.Timer');
+goog.require('goog.array');
+goog.require('goog.asserts');
 goog.require('goog.async.AnimationDelay');
 goog.require('goog.dom');
 goog.require('goog.events');
+goog.require('goog.events.EventTarget');
+goog.require('goog.events.EventType');
+goog.require('goog.math');
+goog.require('goog.object');
+goog.require('goog.string');
+goog.require('goog.style');
+goog.require('ol.easing');
+goog.require('ol.has');
 
 goog.require('olcs.Camera');
+goog.require('olcs.CreditSynchronizer');
+goog.require('olcs.FirstPersonNavigation');
+goog.require('olcs.InteractionBridge');
+goog.require('olcs.OverlaySynchronizer');
 goog.require('olcs.RasterSynchronizer');
 goog.require('olcs.VectorSynchronizer');
+goog.require('olcs.core');
+
+
+/**
+ * @enum {string}
+ * @api
+ */
+olcs.OLCesiumEventType = {
+  /**
+   * Triggered when the Cesium scene is enabled or disabled.
+   */
+  CHANGE_ENABLED: 'change:enabled',
+  /**
+   * Triggered before rendering the Cesium scene.
+   */
+  PRECOMPOSE: 'precompose',
+  /**
+   * Triggered after rendering the Cesium scene.
+   */
+  POSTCOMPOSE: 'postcompose',
+  /**
+   * Triggered when the globe starts loading tiles.
+   */
+  TILELOADSTART: 'tileloadstart',
+  /**
+   * Triggered when the globe has loaded all its tiles.
+   */
+  TILELOADEND: 'tileloadend',
+  /**
+   * Triggered when the rendering of the Cesium scene failed, the scene is
+   * then disabled and the map restored, or when a listener of the rendering
+   * events threw, the rendering then goes on. The `error` property of the
+   * event holds the thrown exception.
+   */
+  ERROR: 'error',
+  /**
+   * Triggered when the WebGL context of the Cesium canvas is lost. The
+   * rendering is paused until the context is restored.
+   */
+  CONTEXTLOST: 'contextlost',
+  /**
+   * Triggered when the WebGL context has been restored and the Cesium scene
+   * rebuilt. The new globe only keeps the ellipsoid, the terrain provider and
+   * the depth test of the previous one: its other settings, as well as the
+   * primitives and imagery layers added to the previous scene without a
+   * synchronizer, must be set again on the new scene.
+   */
+  CONTEXTRESTORED: 'contextrestored',
+  /**
+   * Triggered after each frame rendered by `preload`. The `pending`
+   * property of the event is the number of tiles still to be loaded.
+   */
+  PRELOADPROGRESS: 'preloadprogress'
+};
+
+
+
+/**
+ * @enum {string}
+ * @api
+ */
+olcs.OLCesiumLayout = {
+  /**
+   * The enabled Cesium scene covers the map, under its overlays and its
+   * controls: the map interactions are paused, except the bridged ones.
+   */
+  STACKED: 'stacked',
+  /**
+   * The enabled Cesium scene is displayed on the right of a draggable
+   * splitter and the map on its left. Both views show the same area and
+   * stay interactive.
+   */
+  SPLIT: 'split',
+  /**
+   * The enabled Cesium scene is displayed on the right of a draggable swipe
+   * line, over the map which handles all the inputs: the camera follows the
+   * view to compare both renderings of the same area.
+   */
+  SWIPE: 'swipe',
+  /**
+   * The enabled Cesium scene covers the whole viewport of the map,
+   * including its controls, and shows its own credits. The map interactions
+   * are paused, except the bridged ones.
+   */
+  THREE_D_ONLY: '3d-only'
+};
+
+
+
+/**
+ * @enum {string}
+ * @api
+ */
+olcs.OLCesiumNavigationMode = {
+  /**
+   * The camera orbits around the globe with the mouse, using the camera
+   * controller of the Cesium scene.
+   */
+  ORBIT: 'orbit',
+  /**
+   * The camera walks at eye height above the terrain, moved with the
+   * keyboard and turned with the mouse.
+   */
+  WALK: 'walk',
+  /**
+   * The camera flies freely, moved with the keyboard and turned with the
+   * mouse.
+   */
+  FLY: 'fly'
+};
 
 
 
 /**
+ * Dispatches the events listed in {@link olcs.OLCesiumEventType}.
  * @param {!olcsx.OLCesiumOptions} options Options.
  * @constructor
+ * @extends {goog.events.EventTarget}
  * @api
  */
 olcs.OLCesium = function(options) {
 
+  goog.base(this);
+
   /**
    * @type {!ol.Map}
    * @private
@@ -32,15 +165,18 @@ olcs.OLCesium = function(options) {
   this.container_ = goog.dom.createDom(goog.dom.TagName.DIV,
       {style: fillArea + 'visibility:hidden;'});
 
+  /**
+   * Whether the Cesium container is placed over the controls of the map.
+   * @type {boolean}
+   * @private
+   */
+  this.coversControls_ = false;
+
   var targetElement = goog.dom.getElement(options.target || null);
   if (targetElement) {
     goog.dom.appendChild(targetElement, this.container_);
   } else {
-    var vp = this.map_.getViewport();
-    var oc = goog.dom.getElementByClass('ol-overlaycontainer', vp);
-    if (oc) {
-      goog.dom.insertSiblingBefore(this.container_, oc);
-    }
+    this.insertIntoViewport_();
   }
 
   /**
@@ -61,6 +197,20 @@ olcs.OLCesium = function(options) {
 
   goog.dom.appendChild(this.container_, this.canvas_);
 
+  /**
+   * @type {number}
+   * @private
+   */
+  this.pixelRatio_ = goog.isDef(options.pixelRatio) ?
+      options.pixelRatio : ol.has.DEVICE_PIXEL_RATIO;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.resolutionScale_ = goog.isDef(options.resolutionScale) ?
+      options.resolutionScale : 1;
+
   /**
    * @type {boolean}
    * @private
@@ -80,193 +230,1511 @@ olcs.OLCesium = function(options) {
   this.hiddenRootGroup_ = null;
 
   /**
-   * @type {!Cesium.Scene}
+   * Whether the interactions and the layers of the map are paused, which
+   * they still are when enabling during the transition of a disabling.
+   * @type {boolean}
    * @private
    */
-  this.scene_ = new Cesium.Scene({
-    canvas: this.canvas_,
-    scene3DOnly: true
-  });
+  this.mapPaused_ = false;
 
-  var sscc = this.scene_.screenSpaceCameraController;
-  sscc.inertiaSpin = 0;
-  sscc.ineartiaTranslate = 0;
-  sscc.inertiaZoom = 0;
+  /**
+   * @type {olcs.OLCesiumLayout}
+   * @private
+   */
+  this.layout_ = goog.isDef(options.layout) ?
+      options.layout : olcs.OLCesiumLayout.STACKED;
 
-  sscc.tiltEventTypes.push({
-    'eventType': Cesium.CameraEventType.LEFT_DRAG,
-    'modifier': Cesium.KeyboardEventModifier.SHIFT
-  });
+  /**
+   * @type {number}
+   * @private
+   */
+  this.splitPosition_ = 0.5;
 
-  sscc.tiltEventTypes.push({
-    'eventType': Cesium.CameraEventType.LEFT_DRAG,
-    'modifier': Cesium.KeyboardEventModifier.ALT
-  });
+  /**
+   * @type {Element}
+   * @private
+   */
+  this.splitter_ = null;
 
-  sscc.enableLook = false;
+  /**
+   * @type {!Array.<goog.events.Key>}
+   * @private
+   */
+  this.splitterListenKeys_ = [];
+
+  /**
+   * Animation of the running 2D/3D transition.
+   * @type {goog.async.AnimationDelay}
+   * @private
+   */
+  this.transitionDelay_ = null;
 
-  this.scene_.camera.constrainedAxis = Cesium.Cartesian3.UNIT_Z;
+  /**
+   * @type {?function(this:olcs.OLCesium)}
+   * @private
+   */
+  this.transitionCallback_ = null;
 
   /**
-   * @type {!olcs.Camera}
+   * Promise of the last call to `preload`, the next calls wait for it.
+   * @type {goog.Promise.<boolean>}
    * @private
    */
-  this.camera_ = new olcs.Camera(this.scene_, this.map_);
+  this.preloadPromise_ = null;
 
   /**
-   * @type {!Cesium.Globe}
+   * Ends the running preload, if any.
+   * @type {?function(boolean)}
    * @private
    */
-  this.globe_ = new Cesium.Globe(Cesium.Ellipsoid.WGS84);
-  this.scene_.globe = this.globe_;
-  this.scene_.skyAtmosphere = new Cesium.SkyAtmosphere();
+  this.preloadFinish_ = null;
 
-  var synchronizers = goog.isDef(options.createSynchronizers) ?
-      options.createSynchronizers(this.map_, this.scene_) :
-      [
-        new olcs.RasterSynchronizer(this.map_, this.scene_),
-        new olcs.VectorSynchronizer(this.map_, this.scene_)
-      ];
+  /**
+   * @type {?number}
+   * @private
+   */
+  this.warmUpTimeoutKey_ = null;
 
-  for (var i = synchronizers.length - 1; i >= 0; --i) {
-    synchronizers[i].synchronize();
-  }
+  /**
+   * @type {!olcsx.OLCesiumOptions}
+   * @private
+   */
+  this.options_ = options;
 
-  if (this.isOverMap_) {
-    // if in "stacked mode", hide everything except canvas (including credits)
-    var credits = goog.dom.getNextElementSibling(this.canvas_);
-    if (goog.isDefAndNotNull(credits)) {
-      credits.style.display = 'none';
-    }
-  }
+  /**
+   * Container of the credits created by the Cesium scene.
+   * @type {Element}
+   * @private
+   */
+  this.creditContainer_ = null;
 
-  this.camera_.readFromView();
+  /**
+   * @type {Cesium.Globe}
+   * @private
+   */
+  this.globe_ = null;
+
+  /**
+   * @type {Cesium.Scene}
+   * @private
+   */
+  this.scene_ = null;
+
+  /**
+   * @type {olcs.Camera}
+   * @private
+   */
+  this.camera_ = null;
 
+  /**
+   * @type {olcs.InteractionBridge}
+   * @private
+   */
+  this.interactionBridge_ = null;
+
+  /**
+   * @type {olcs.OverlaySynchronizer}
+   * @private
+   */
+  this.overlaySynchronizer_ = null;
+
+  /**
+   * Shows the hidden Cesium credits in the attribution control of the map.
+   * @type {olcs.CreditSynchronizer}
+   * @private
+   */
+  this.creditSynchronizer_ = null;
+
+  /**
+   * @type {olcs.OLCesiumNavigationMode}
+   * @private
+   */
+  this.navigationMode_ = goog.isDef(options.navigationMode) ?
+      options.navigationMode : olcs.OLCesiumNavigationMode.ORBIT;
+
+  /**
+   * Handles the walk and fly navigation modes.
+   * @type {olcs.FirstPersonNavigation}
+   * @private
+   */
+  this.firstPersonNavigation_ = null;
+
+  /**
+   * @type {!Array.<olcs.AbstractSynchronizer>}
+   * @private
+   */
+  this.synchronizers_ = [];
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  this.renderOnDemand_ = !!options.renderOnDemand;
+
+  /**
+   * Time until which the scene is rendered in render-on-demand mode.
+   * @type {number}
+   * @private
+   */
+  this.renderUntil_ = 0;
+
+  /**
+   * View matrix of the camera at the last rendered frame.
+   * @type {?Cesium.Matrix4}
+   * @private
+   */
+  this.renderedViewMatrix_ = null;
+
+  /**
+   * Whether the globe is loading tiles.
+   * @type {boolean}
+   * @private
+   */
+  this.tilesLoading_ = false;
+
+  /**
+   * Whether the WebGL context of the canvas is lost.
+   * @type {boolean}
+   * @private
+   */
+  this.contextLost_ = false;
+
+  /**
+   * @type {!goog.async.AnimationDelay}
+   * @private
+   */
   this.cesiumRenderingDelay_ = new goog.async.AnimationDelay(function(time) {
-    this.scene_.initializeFrame();
-    this.handleResize_();
-    this.scene_.render();
-    this.enabled_ && this.camera_.checkCameraChange();
-    this.cesiumRenderingDelay_.start();
+    if (this.contextLost_) {
+      // restarted when the context is restored
+      return;
+    }
+    var stopped = false;
+    try {
+      stopped = !this.renderFrame_(time);
+    } catch (e) {
+      // thrown by a listener, the rendering goes on
+      this.dispatchEvent({
+        type: olcs.OLCesiumEventType.ERROR,
+        error: e
+      });
+    } finally {
+      if (!stopped) {
+        this.cesiumRenderingDelay_.start();
+      }
+    }
   }, undefined, this);
+
+  if (!options.lazy) {
+    this.initialize_();
+  }
 };
+goog.inherits(olcs.OLCesium, goog.events.EventTarget);
 
 
 /**
+ * Creates the Cesium scene, the camera and the synchronizers, unless already
+ * done. Called from the constructor, or on first use with the `lazy` option.
  * @private
  */
-olcs.OLCesium.prototype.handleResize_ = function() {
-  var width = this.canvas_.clientWidth;
-  var height = this.canvas_.clientHeight;
-
-  if (this.canvas_.width === width && this.canvas_.height === height) {
+olcs.OLCesium.prototype.initialize_ = function() {
+  if (!goog.isNull(this.scene_)) {
     return;
   }
+  var options = this.options_;
 
-  this.canvas_.width = width;
-  this.canvas_.height = height;
-  this.scene_.camera.frustum.aspectRatio = width / height;
-};
+  var globe = goog.isDef(options.globe) ? options.globe :
+      new Cesium.Globe(goog.isDef(options.ellipsoid) ?
+          options.ellipsoid : Cesium.Ellipsoid.WGS84);
 
+  var scene;
+  try {
+    scene = this.createScene_(globe, options.skyBox);
+  } catch (e) {
+    // do not leave an empty container over the map
+    goog.dom.removeNode(this.container_);
+    throw e;
+  }
+  this.globe_ = globe;
+  this.scene_ = scene;
 
-/**
- * @return {!olcs.Camera}
- * @api
- */
-olcs.OLCesium.prototype.getCamera = function() {
-  return this.camera_;
-};
+  this.camera_ = new olcs.Camera(scene, this.map_);
 
+  this.interactionBridge_ = new olcs.InteractionBridge(this.map_, scene);
+  goog.events.listen(this.interactionBridge_, goog.events.EventType.CHANGE,
+      this.handleBridgeChange_, false, this);
 
-/**
- * @return {!ol.Map}
- * @api
- */
-olcs.OLCesium.prototype.getOlMap = function() {
-  return this.map_;
+  this.overlaySynchronizer_ = new olcs.OverlaySynchronizer(this.map_, scene);
+  goog.dom.appendChild(this.container_,
+      this.overlaySynchronizer_.getElement());
+  goog.events.listen(this.overlaySynchronizer_, goog.events.EventType.CHANGE,
+      this.requestRender, false, this);
+
+  this.creditSynchronizer_ = new olcs.CreditSynchronizer(this.map_, scene);
+
+  this.firstPersonNavigation_ = new olcs.FirstPersonNavigation(scene);
+  goog.events.listen(this.firstPersonNavigation_,
+      goog.events.EventType.CHANGE, this.requestRender, false, this);
+
+  this.synchronizers_ = goog.isDef(options.createSynchronizers) ?
+      options.createSynchronizers(this.map_, scene) :
+      [
+        new olcs.RasterSynchronizer(this.map_, scene),
+        new olcs.VectorSynchronizer(this.map_, scene)
+      ];
+
+  for (var i = this.synchronizers_.length - 1; i >= 0; --i) {
+    this.synchronizers_[i].synchronize();
+  }
+
+  this.camera_.readFromView();
+
+  goog.events.listen(this.canvas_, 'webglcontextlost',
+      this.handleContextLost_, false, this);
+  goog.events.listen(this.canvas_, 'webglcontextrestored',
+      this.handleContextRestored_, false, this);
+
+  goog.array.forEach(this.synchronizers_, function(el, i, arr) {
+    goog.events.listen(el, goog.events.EventType.CHANGE, this.requestRender,
+        false, this);
+  }, this);
 };
 
 
 /**
- * @return {!Cesium.Scene}
- * @api
+ * Duration during which the scene keeps being rendered after a render
+ * request in render-on-demand mode, to let Cesium complete the asynchronous
+ * creation of the primitives and the loading of the resources.
+ * @type {number}
+ * @private
  */
-olcs.OLCesium.prototype.getCesiumScene = function() {
-  return this.scene_;
-};
+olcs.OLCesium.RENDER_REQUEST_DURATION_ = 1000;
 
 
 /**
- * @return {boolean}
- * @api
+ * Default duration of the animated 2D/3D transitions, in milliseconds.
+ * @type {number}
  */
-olcs.OLCesium.prototype.getEnabled = function() {
-  return this.enabled_;
-};
+olcs.OLCesium.DEFAULT_TRANSITION_DURATION = 1000;
 
 
 /**
- * Enables/disables the Cesium.
- * This modifies the visibility style of the container element.
- * @param {boolean} enable
- * @api
+ * @private
  */
-olcs.OLCesium.prototype.setEnabled = function(enable) {
-  if (this.enabled_ == enable) {
+olcs.OLCesium.prototype.handleResize_ = function() {
+  if (goog.isNull(this.scene_)) {
+    // sized on the first frame
     return;
   }
-  this.enabled_ = enable;
-
-  // some Cesium operations are operating with canvas.clientWidth,
-  // so we can't remove it from DOM or even make display:none;
-  this.container_.style.visibility = this.enabled_ ? 'visible' : 'hidden';
-  if (this.enabled_) {
-    if (this.isOverMap_) {
-      var interactions = this.map_.getInteractions();
-      interactions.forEach(function(el, i, arr) {
-        this.pausedInteractions_.push(el);
-      }, this);
-      interactions.clear();
-
-      var rootGroup = this.map_.getLayerGroup();
-      if (rootGroup.getVisible()) {
-        this.hiddenRootGroup_ = rootGroup;
-        this.hiddenRootGroup_.setVisible(false);
-      }
-    }
-    this.camera_.readFromView();
-    this.cesiumRenderingDelay_.start();
-  } else {
-    if (this.isOverMap_) {
-      var interactions = this.map_.getInteractions();
-      goog.array.forEach(this.pausedInteractions_, function(el, i, arr) {
-        interactions.push(el);
-      }, this);
-      this.pausedInteractions_.length = 0;
-
-      if (!goog.isNull(this.hiddenRootGroup_)) {
-        this.hiddenRootGroup_.setVisible(true);
-        this.hiddenRootGroup_ = null;
-      }
-    }
+  // the drawing buffer is scaled, the camera and picking computations are
+  // done with the CSS size of the canvas
+  var scale = this.pixelRatio_ * this.resolutionScale_;
+  var width = Math.round(this.canvas_.clientWidth * scale);
+  var height = Math.round(this.canvas_.clientHeight * scale);
 
-    this.camera_.updateView();
-    this.cesiumRenderingDelay_.stop();
+  if (this.canvas_.width === width && this.canvas_.height === height) {
+    return;
   }
+
+  this.canvas_.width = width;
+  this.canvas_.height = height;
+  this.scene_.camera.frustum.aspectRatio = width / height;
+  this.updateLayout_();
+  this.requestRender();
 };
 
 
 /**
-* Preload Cesium so that it is ready when transitioning from 2D to 3D.
-* @param {number} height Target height of the camera
-* @param {number} timeout Milliseconds after which the warming will stop
-* @api
-*/
+ * Renders a frame of the scene if needed, then synchronizes the view with
+ * the camera.
+ * @param {number} time
+ * @return {boolean} False when Cesium failed, the rendering is then stopped.
+ * @private
+ */
+olcs.OLCesium.prototype.renderFrame_ = function(time) {
+  // only the errors of Cesium are handled here, not the ones of the
+  // listeners
+  try {
+    this.scene_.initializeFrame();
+    this.handleResize_();
+  } catch (e) {
+    this.handleRenderError_(e);
+    return false;
+  }
+  if (this.needsRender_()) {
+    this.dispatchEvent({
+      type: olcs.OLCesiumEventType.PRECOMPOSE,
+      time: time
+    });
+    try {
+      this.scene_.render();
+    } catch (e) {
+      this.handleRenderError_(e);
+      return false;
+    }
+    this.dispatchEvent({
+      type: olcs.OLCesiumEventType.POSTCOMPOSE,
+      time: time
+    });
+  }
+  this.checkTileLoad_();
+  this.enabled_ && this.camera_.checkCameraChange();
+  return true;
+};
+
+
+/**
+ * Creates and configures a Cesium scene drawing on the canvas.
+ * @param {!Cesium.Globe} globe
+ * @param {Cesium.SkyBox|undefined} skyBox
+ * @return {!Cesium.Scene}
+ * @private
+ */
+olcs.OLCesium.prototype.createScene_ = function(globe, skyBox) {
+  var options = this.options_;
+  var sceneOptions = goog.isDef(options.sceneOptions) ?
+      goog.object.clone(options.sceneOptions) : {};
+  sceneOptions.canvas = this.canvas_;
+  if (!goog.isDef(sceneOptions.scene3DOnly)) {
+    sceneOptions.scene3DOnly = true;
+  }
+
+  var scene = new Cesium.Scene(sceneOptions);
+
+  var inertia = goog.isDef(options.inertia) ? options.inertia : 0;
+  var sscc = scene.screenSpaceCameraController;
+  sscc.inertiaSpin = inertia;
+  sscc.inertiaTranslate = inertia;
+  sscc.inertiaZoom = inertia;
+
+  sscc.tiltEventTypes.push({
+    'eventType': Cesium.CameraEventType.LEFT_DRAG,
+    'modifier': Cesium.KeyboardEventModifier.SHIFT
+  });
+
+  sscc.tiltEventTypes.push({
+    'eventType': Cesium.CameraEventType.LEFT_DRAG,
+    'modifier': Cesium.KeyboardEventModifier.ALT
+  });
+
+  sscc.enableLook = false;
+
+  if (goog.isDef(options.cameraController)) {
+    // override the defaults above
+    goog.object.extend(sscc, options.cameraController);
+  }
+
+  scene.camera.constrainedAxis = Cesium.Cartesian3.UNIT_Z;
+  scene.globe = globe;
+
+  if (options.skyAtmosphere !== false) {
+    scene.skyAtmosphere = new Cesium.SkyAtmosphere();
+  }
+  if (goog.isDef(skyBox)) {
+    scene.skyBox = skyBox;
+  }
+
+  if (this.isOverMap_) {
+    // if in "stacked mode", hide everything except canvas (including credits,
+    // which are shown by the credit synchronizer)
+    // the credits container has just been appended by the scene
+    var credits = goog.dom.getLastElementChild(this.container_);
+    if (goog.isDefAndNotNull(credits) && credits !== this.canvas_) {
+      credits.style.display = 'none';
+      this.creditContainer_ = credits;
+    }
+  }
+
+  return scene;
+};
+
+
+/**
+ * @param {goog.events.BrowserEvent} e
+ * @private
+ */
+olcs.OLCesium.prototype.handleContextLost_ = function(e) {
+  // allows the context to be restored
+  e.preventDefault();
+  this.contextLost_ = true;
+  this.dispatchEvent(olcs.OLCesiumEventType.CONTEXTLOST);
+};
+
+
+/**
+ * Rebuilds the scene with the restored context, then moves the camera and
+ * the synchronized layers to it.
+ * @param {goog.events.BrowserEvent} e
+ * @private
+ */
+olcs.OLCesium.prototype.handleContextRestored_ = function(e) {
+  var oldScene = this.scene_;
+  var oldGlobe = this.globe_;
+  goog.asserts.assert(!goog.isNull(oldScene) && !goog.isNull(oldGlobe));
+
+  // the resources of the globe and the sky box belong to the lost context
+  var globe = new Cesium.Globe(oldGlobe.ellipsoid);
+  globe.terrainProvider = oldGlobe.terrainProvider;
+  globe.depthTestAgainstTerrain = oldGlobe.depthTestAgainstTerrain;
+  var skyBox = goog.isDefAndNotNull(oldScene.skyBox) ?
+      new Cesium.SkyBox({sources: oldScene.skyBox.sources}) : undefined;
+
+  var scene;
+  try {
+    scene = this.createScene_(globe, skyBox);
+  } catch (error) {
+    this.handleRenderError_(error);
+    return;
+  }
+  this.scene_ = scene;
+  this.globe_ = globe;
+  this.contextLost_ = false;
+
+  scene.camera.frustum.aspectRatio = this.canvas_.width / this.canvas_.height;
+  this.camera_.setScene(scene);
+  this.interactionBridge_.setScene(scene);
+  this.overlaySynchronizer_.setScene(scene);
+  this.creditSynchronizer_.setScene(scene);
+  this.firstPersonNavigation_.setScene(scene);
+  this.updateNavigation_();
+  for (var i = this.synchronizers_.length - 1; i >= 0; --i) {
+    this.synchronizers_[i].setScene(scene);
+  }
+
+  try {
+    oldScene.destroy();
+  } catch (error) {
+    // the WebGL resources are already gone with the lost context
+  }
+
+  this.renderedViewMatrix_ = null;
+  this.updateLayout_();
+  this.requestRender();
+  if (this.enabled_) {
+    this.cesiumRenderingDelay_.start();
+  }
+  this.dispatchEvent(olcs.OLCesiumEventType.CONTEXTRESTORED);
+};
+
+
+/**
+ * Stops the rendering, goes back to the 2D map and notifies the error.
+ * @param {*} error
+ * @private
+ */
+olcs.OLCesium.prototype.handleRenderError_ = function(error) {
+  this.cesiumRenderingDelay_.stop();
+  try {
+    // the camera may be in an invalid state as well
+    this.setEnabled(false);
+  } catch (e) {
+    // the error of Cesium is the one to report
+  }
+  this.dispatchEvent({
+    type: olcs.OLCesiumEventType.ERROR,
+    error: error
+  });
+};
+
+
+/**
+ * Checks whether the browser supports WebGL, which is required by Cesium.
+ * @return {boolean}
+ * @api
+ */
+olcs.OLCesium.isSupported = function() {
+  if (!goog.isDef(window.WebGLRenderingContext)) {
+    return false;
+  }
+  var canvas = /** @type {!HTMLCanvasElement} */
+      (goog.dom.createElement(goog.dom.TagName.CANVAS));
+  try {
+    return !goog.isNull(canvas.getContext('webgl') ||
+        canvas.getContext('experimental-webgl'));
+  } catch (e) {
+    return false;
+  }
+};
+
+
+/**
+ * Whether the scene has to be rendered on the current frame.
+ * @return {boolean}
+ * @private
+ */
+olcs.OLCesium.prototype.needsRender_ = function() {
+  if (!this.renderOnDemand_) {
+    return true;
+  }
+
+  if (olcs.core.getPendingTileCount(
+      /** @type {!Cesium.Globe} */ (this.globe_)) > 0) {
+    // keep rendering a bit once all the tiles are loaded
+    this.requestRender();
+  }
+
+  var viewMatrix = this.scene_.camera.viewMatrix;
+  if (goog.isNull(this.renderedViewMatrix_) ||
+      !this.renderedViewMatrix_.equals(viewMatrix)) {
+    this.renderedViewMatrix_ = viewMatrix.clone();
+    return true;
+  }
+
+  return goog.now() < this.renderUntil_;
+};
+
+
+/**
+ * Dispatches the tile load events when the loading state of the globe
+ * changes.
+ * @private
+ */
+olcs.OLCesium.prototype.checkTileLoad_ = function() {
+  var pending = olcs.core.getPendingTileCount(
+      /** @type {!Cesium.Globe} */ (this.globe_));
+  var loading = pending > 0;
+  if (loading != this.tilesLoading_) {
+    this.tilesLoading_ = loading;
+    this.dispatchEvent({
+      type: loading ? olcs.OLCesiumEventType.TILELOADSTART :
+          olcs.OLCesiumEventType.TILELOADEND,
+      pending: pending
+    });
+  }
+};
+
+
+/**
+ * Requests the rendering of the Cesium scene, for instance after it has been
+ * modified through the Cesium API. The scene is rendered on every frame,
+ * unless the render-on-demand mode is enabled; in that case it is rendered
+ * only when the camera moves, when tiles are loading, when the synchronized
+ * layers change or after calling this method.
+ * @api
+ */
+olcs.OLCesium.prototype.requestRender = function() {
+  this.renderUntil_ = goog.now() + olcs.OLCesium.RENDER_REQUEST_DURATION_;
+};
+
+
+/**
+ * @return {!olcs.Camera}
+ * @api
+ */
+olcs.OLCesium.prototype.getCamera = function() {
+  this.initialize_();
+  return /** @type {!olcs.Camera} */ (this.camera_);
+};
+
+
+/**
+ * @return {!ol.Map}
+ * @api
+ */
+olcs.OLCesium.prototype.getOlMap = function() {
+  return this.map_;
+};
+
+
+/**
+ * Attaches the Cesium scene to another map: the camera follows its view and
+ * the synchronizers convert its layers instead of those of the current map.
+ * When no `target` was given to the constructor, the Cesium container is
+ * moved into the viewport of the new map. The enabled state is kept.
+ * @param {!ol.Map} map
+ * @api
+ */
+olcs.OLCesium.prototype.setOlMap = function(map) {
+  if (map === this.map_) {
+    return;
+  }
+  this.stopTransition_(true);
+  var paused = this.enabled_ && this.coversMap_();
+  if (paused) {
+    // restore the interactions and the layers of the current map
+    this.resumeMap_();
+  }
+
+  this.map_ = map;
+  if (this.isOverMap_) {
+    this.insertIntoViewport_();
+  }
+
+  if (!goog.isNull(this.scene_)) {
+    this.camera_.setMap(map);
+    this.interactionBridge_.setMap(map);
+    this.overlaySynchronizer_.setMap(map);
+    this.creditSynchronizer_.setMap(map);
+    for (var i = this.synchronizers_.length - 1; i >= 0; --i) {
+      this.synchronizers_[i].setMap(map);
+    }
+  }
+
+  if (paused) {
+    this.pauseMap_();
+  }
+  this.updateLayout_();
+  this.requestRender();
+};
+
+
+/**
+ * Returns the Cesium scene, creating it if the instance is lazy and has not
+ * been enabled yet.
+ * @return {!Cesium.Scene}
+ * @api
+ */
+olcs.OLCesium.prototype.getCesiumScene = function() {
+  this.initialize_();
+  return /** @type {!Cesium.Scene} */ (this.scene_);
+};
+
+
+/**
+ * @return {!Array.<olcs.AbstractSynchronizer>} The synchronizers. The array
+ *     must not be modified.
+ * @api
+ */
+olcs.OLCesium.prototype.getSynchronizers = function() {
+  this.initialize_();
+  return this.synchronizers_;
+};
+
+
+/**
+ * Adds a synchronizer and performs its synchronization. The synchronizer
+ * must have been created for the map and the Cesium scene of this instance.
+ * @param {!olcs.AbstractSynchronizer} synchronizer
+ * @api
+ */
+olcs.OLCesium.prototype.addSynchronizer = function(synchronizer) {
+  this.initialize_();
+  goog.asserts.assert(!goog.array.contains(this.synchronizers_, synchronizer));
+  this.synchronizers_.push(synchronizer);
+  goog.events.listen(synchronizer, goog.events.EventType.CHANGE,
+      this.requestRender, false, this);
+  synchronizer.synchronize();
+};
+
+
+/**
+ * Removes a synchronizer and destroys it, together with the Cesium objects
+ * it has created.
+ * @param {!olcs.AbstractSynchronizer} synchronizer
+ * @return {boolean} Whether the synchronizer was found and removed.
+ * @api
+ */
+olcs.OLCesium.prototype.removeSynchronizer = function(synchronizer) {
+  if (!goog.array.remove(this.synchronizers_, synchronizer)) {
+    return false;
+  }
+  synchronizer.destroy();
+  this.requestRender();
+  return true;
+};
+
+
+/**
+ * @return {boolean}
+ * @api
+ */
+olcs.OLCesium.prototype.getEnabled = function() {
+  return this.enabled_;
+};
+
+
+/**
+ * Enables/disables the Cesium.
+ * This modifies the visibility style of the container element.
+ * When animated, enabling fades the Cesium canvas in while the camera tilts;
+ * disabling flies the camera back to a top-down north-up view before the
+ * 2D map is revealed.
+ * @param {boolean} enable
+ * @param {olcsx.EnableOptions=} opt_options
+ * @api
+ */
+olcs.OLCesium.prototype.setEnabled = function(enable, opt_options) {
+  if (this.enabled_ == enable) {
+    return;
+  }
+  if (enable) {
+    this.initialize_();
+  }
+  this.enabled_ = enable;
+  this.stopTransition_(false);
+
+  var options = goog.isDef(opt_options) ? opt_options : {};
+  var duration = goog.isDef(options.duration) ? options.duration :
+      olcs.OLCesium.DEFAULT_TRANSITION_DURATION;
+
+  if (this.enabled_) {
+    // some Cesium operations are operating with canvas.clientWidth,
+    // so we can't remove it from DOM or even make display:none;
+    this.container_.style.visibility = 'visible';
+    if (this.coversMap_()) {
+      this.pauseMap_();
+    }
+    this.updateLayout_();
+    this.camera_.readFromView();
+    this.requestRender();
+    this.cesiumRenderingDelay_.start();
+
+    if (options.animate) {
+      var tilt = goog.isDef(options.tilt) ?
+          options.tilt : this.camera_.getTilt();
+      this.camera_.setTilt(0);
+      this.container_.style.opacity = '0';
+      // the first-person navigation would fight against the transition
+      this.startTransition_(duration, function(progress) {
+        this.container_.style.opacity = String(progress);
+        this.camera_.setTilt(progress * tilt);
+      }, this.updateNavigation_);
+    } else {
+      if (goog.isDef(options.tilt)) {
+        this.camera_.setTilt(options.tilt);
+      }
+      this.updateNavigation_();
+    }
+  } else {
+    this.updateNavigation_();
+    if (options.animate) {
+      this.camera_.updateView();
+      var startTilt = this.camera_.getTilt();
+      var startHeading = this.camera_.getHeading() || 0;
+      // rotate back through the shortest way
+      startHeading = goog.math.standardAngleInRadians(startHeading);
+      if (startHeading > Math.PI) {
+        startHeading -= 2 * Math.PI;
+      }
+      this.startTransition_(duration, function(progress) {
+        this.camera_.setHeading((1 - progress) * startHeading);
+        this.camera_.setTilt((1 - progress) * startTilt);
+      }, this.disable_);
+    } else {
+      this.disable_();
+    }
+  }
+
+  this.dispatchEvent({
+    type: olcs.OLCesiumEventType.CHANGE_ENABLED,
+    enabled: this.enabled_
+  });
+};
+
+
+/**
+ * Hides the Cesium container and restores the 2D map.
+ * @private
+ */
+olcs.OLCesium.prototype.disable_ = function() {
+  this.container_.style.visibility = 'hidden';
+  this.resumeMap_();
+  this.updateLayout_();
+
+  this.camera_.updateView();
+  if (this.options_.constrainResolution) {
+    this.camera_.constrainView();
+  }
+  this.cesiumRenderingDelay_.stop();
+};
+
+
+/**
+ * Pauses the interactions and hides the layers of the map, which is covered
+ * by the Cesium scene.
+ * @private
+ */
+olcs.OLCesium.prototype.pauseMap_ = function() {
+  if (this.mapPaused_) {
+    return;
+  }
+  this.mapPaused_ = true;
+  var interactions = this.map_.getInteractions();
+  interactions.forEach(function(el, i, arr) {
+    this.pausedInteractions_.push(el);
+  }, this);
+  interactions.clear();
+
+  // the bridged interactions keep handling the events over the globe
+  var bridged = this.interactionBridge_.getInteractions();
+  goog.array.forEach(this.pausedInteractions_, function(el, i, arr) {
+    if (goog.array.contains(bridged, el)) {
+      interactions.push(el);
+    }
+  }, this);
+  this.interactionBridge_.setActive(true);
+  this.overlaySynchronizer_.setActive(true);
+
+  // they may rely on the hit detection of the 2D map, which is hidden
+  // behind the Cesium canvas anyway
+  var rootGroup = this.map_.getLayerGroup();
+  if (rootGroup.getVisible() && bridged.length == 0) {
+    this.hiddenRootGroup_ = rootGroup;
+    this.hiddenRootGroup_.setVisible(false);
+  }
+};
+
+
+/**
+ * Restores what has been paused by `pauseMap_`.
+ * @private
+ */
+olcs.OLCesium.prototype.resumeMap_ = function() {
+  if (!this.mapPaused_) {
+    return;
+  }
+  this.mapPaused_ = false;
+  this.interactionBridge_.setActive(false);
+  this.overlaySynchronizer_.setActive(false);
+
+  // keep the initial order of the interactions, including the bridged ones
+  var interactions = this.map_.getInteractions();
+  goog.array.forEach(this.pausedInteractions_, function(el, i, arr) {
+    interactions.remove(el);
+    interactions.push(el);
+  }, this);
+  this.pausedInteractions_.length = 0;
+
+  if (!goog.isNull(this.hiddenRootGroup_)) {
+    this.hiddenRootGroup_.setVisible(true);
+    this.hiddenRootGroup_ = null;
+  }
+};
+
+
+/**
+ * @param {goog.events.Event} e
+ * @private
+ */
+olcs.OLCesium.prototype.handleBridgeChange_ = function(e) {
+  if (this.enabled_ && this.coversMap_()) {
+    // pause again with the new bridged interactions
+    this.resumeMap_();
+    this.pauseMap_();
+  }
+};
+
+
+/**
+ * Returns the bridge used to select the ol3 interactions which stay active
+ * when the Cesium scene covers the map.
+ * @return {!olcs.InteractionBridge}
+ * @api
+ */
+olcs.OLCesium.prototype.getInteractionBridge = function() {
+  this.initialize_();
+  return /** @type {!olcs.InteractionBridge} */ (this.interactionBridge_);
+};
+
+
+/**
+ * @return {number}
+ * @api
+ */
+olcs.OLCesium.prototype.getPixelRatio = function() {
+  return this.pixelRatio_;
+};
+
+
+/**
+ * @param {number} pixelRatio Ratio between the size of the drawing buffer
+ *     and the CSS size of the canvas.
+ * @api
+ */
+olcs.OLCesium.prototype.setPixelRatio = function(pixelRatio) {
+  this.pixelRatio_ = pixelRatio;
+  this.handleResize_();
+};
+
+
+/**
+ * @return {number}
+ * @api
+ */
+olcs.OLCesium.prototype.getResolutionScale = function() {
+  return this.resolutionScale_;
+};
+
+
+/**
+ * Sets the factor applied to the pixel ratio when sizing the drawing buffer.
+ * Values lower than 1 trade sharpness for speed on weak devices.
+ * @param {number} resolutionScale
+ * @api
+ */
+olcs.OLCesium.prototype.setResolutionScale = function(resolutionScale) {
+  goog.asserts.assert(resolutionScale > 0);
+  this.resolutionScale_ = resolutionScale;
+  this.handleResize_();
+};
+
+
+/**
+ * @return {olcs.OLCesiumLayout}
+ * @api
+ */
+olcs.OLCesium.prototype.getLayout = function() {
+  return this.layout_;
+};
+
+
+/**
+ * Sets how the Cesium scene shares the map viewport when enabled. Only
+ * possible when no `target` was given to the constructor.
+ * @param {olcs.OLCesiumLayout} layout
+ * @api
+ */
+olcs.OLCesium.prototype.setLayout = function(layout) {
+  goog.asserts.assert(this.isOverMap_,
+      'The layout can only be changed when the scene is over the map');
+  if (this.layout_ == layout) {
+    return;
+  }
+  var paused = this.coversMap_();
+  this.layout_ = layout;
+
+  if (this.enabled_) {
+    if (paused && !this.coversMap_()) {
+      this.resumeMap_();
+    } else if (!paused && this.coversMap_()) {
+      this.pauseMap_();
+    }
+    this.camera_.readFromView();
+  }
+  this.updateLayout_();
+};
+
+
+/**
+ * @return {boolean} Whether the Cesium scene covers the whole map when
+ *     enabled, the map being paused meanwhile.
+ * @private
+ */
+olcs.OLCesium.prototype.coversMap_ = function() {
+  return this.isOverMap_ && (this.layout_ == olcs.OLCesiumLayout.STACKED ||
+      this.layout_ == olcs.OLCesiumLayout.THREE_D_ONLY);
+};
+
+
+/**
+ * @return {olcs.OLCesiumNavigationMode}
+ * @api
+ */
+olcs.OLCesium.prototype.getNavigationMode = function() {
+  return this.navigationMode_;
+};
+
+
+/**
+ * Sets how the user moves the camera of the enabled Cesium scene. The
+ * ol.View keeps following the camera in all the modes.
+ * @param {olcs.OLCesiumNavigationMode} mode
+ * @api
+ */
+olcs.OLCesium.prototype.setNavigationMode = function(mode) {
+  this.navigationMode_ = mode;
+  if (goog.isNull(this.transitionDelay_)) {
+    this.updateNavigation_();
+  }
+};
+
+
+/**
+ * Switches between the camera controller of the scene and the first-person
+ * navigation, which is only active while the scene is enabled.
+ * @private
+ */
+olcs.OLCesium.prototype.updateNavigation_ = function() {
+  if (goog.isNull(this.scene_)) {
+    return;
+  }
+  var firstPerson = this.enabled_ &&
+      this.navigationMode_ != olcs.OLCesiumNavigationMode.ORBIT;
+  this.firstPersonNavigation_.setWalking(
+      this.navigationMode_ == olcs.OLCesiumNavigationMode.WALK);
+  this.firstPersonNavigation_.setActive(firstPerson);
+  this.scene_.screenSpaceCameraController.enableInputs = !firstPerson;
+  this.camera_.setConstraintsPaused(firstPerson);
+};
+
+
+/**
+ * @return {number} Position of the splitter, from 0 (left) to 1 (right).
+ * @api
+ */
+olcs.OLCesium.prototype.getSplitPosition = function() {
+  return this.splitPosition_;
+};
+
+
+/**
+ * Sets the position of the splitter in the split and swipe layouts.
+ * @param {number} position From 0 (left) to 1 (right).
+ * @api
+ */
+olcs.OLCesium.prototype.setSplitPosition = function(position) {
+  this.splitPosition_ = goog.math.clamp(position, 0, 1);
+  this.updateLayout_();
+};
+
+
+/**
+ * Inserts the Cesium container in the viewport of the map, under the
+ * overlays and the controls unless it covers them, and the splitter over
+ * the container.
+ * @private
+ */
+olcs.OLCesium.prototype.insertIntoViewport_ = function() {
+  var vp = this.map_.getViewport();
+  if (this.coversControls_) {
+    goog.dom.appendChild(vp, this.container_);
+  } else {
+    var oc = goog.dom.getElementByClass('ol-overlaycontainer', vp);
+    if (oc) {
+      goog.dom.insertSiblingBefore(this.container_, oc);
+    }
+  }
+  if (this.splitter_) {
+    goog.dom.insertSiblingAfter(this.splitter_, this.container_);
+  }
+};
+
+
+/**
+ * Updates the placement and the clipping of the Cesium container, the
+ * splitter and the credits according to the layout.
+ * @private
+ */
+olcs.OLCesium.prototype.updateLayout_ = function() {
+  if (!this.isOverMap_) {
+    return;
+  }
+  var layout = this.enabled_ ? this.layout_ : null;
+  var threeDOnly = layout == olcs.OLCesiumLayout.THREE_D_ONLY;
+  if (this.coversControls_ != threeDOnly) {
+    this.coversControls_ = threeDOnly;
+    this.insertIntoViewport_();
+  }
+  if (!goog.isNull(this.scene_)) {
+    // the credits can not be shown in the covered attribution control
+    this.creditSynchronizer_.setActive(this.enabled_ && !threeDOnly);
+    if (!goog.isNull(this.creditContainer_)) {
+      this.creditContainer_.style.display = threeDOnly ? '' : 'none';
+    }
+  }
+  // the map handles the inputs over the swiped scene as well
+  this.container_.style.pointerEvents =
+      layout == olcs.OLCesiumLayout.SWIPE ? 'none' : '';
+
+  var split = layout == olcs.OLCesiumLayout.SPLIT ||
+      layout == olcs.OLCesiumLayout.SWIPE;
+  if (split && goog.isNull(this.splitter_)) {
+    this.createSplitter_();
+  }
+  if (!goog.isNull(this.splitter_)) {
+    this.splitter_.style.display = split ? '' : 'none';
+  }
+
+  if (split) {
+    var width = this.container_.clientWidth;
+    var height = this.container_.clientHeight;
+    var left = Math.round(this.splitPosition_ * width);
+    this.container_.style.clip =
+        'rect(0px, ' + width + 'px, ' + height + 'px, ' + left + 'px)';
+    this.splitter_.style.left = left + 'px';
+  } else {
+    this.container_.style.clip = 'auto';
+  }
+};
+
+
+/**
+ * @private
+ */
+olcs.OLCesium.prototype.createSplitter_ = function() {
+  this.splitter_ = goog.dom.createDom(goog.dom.TagName.DIV, {
+    'class': 'olcs-splitter',
+    style: 'position:absolute;top:0;bottom:0;width:6px;margin-left:-3px;' +
+        'cursor:ew-resize;background-color:rgba(255,255,255,0.8);' +
+        '-ms-touch-action:none;touch-action:none;'
+  });
+  goog.dom.insertSiblingAfter(this.splitter_, this.container_);
+
+  // keep the map interactions from handling the drag of the splitter;
+  // cancelling the pointer events would suppress the mouse events which
+  // drive the drag
+  goog.events.listen(this.splitter_, [
+    goog.events.EventType.POINTERDOWN,
+    goog.events.EventType.MSPOINTERDOWN
+  ], function(e) {
+    e.stopPropagation();
+  });
+
+  goog.events.listen(this.splitter_, [
+    goog.events.EventType.MOUSEDOWN,
+    goog.events.EventType.TOUCHSTART
+  ], this.handleSplitterDown_, false, this);
+};
+
+
+/**
+ * @param {goog.events.BrowserEvent} e
+ * @private
+ */
+olcs.OLCesium.prototype.handleSplitterDown_ = function(e) {
+  e.preventDefault();
+  e.stopPropagation();
+  goog.array.forEach(this.splitterListenKeys_, goog.events.unlistenByKey);
+  var doc = goog.dom.getOwnerDocument(this.splitter_);
+  this.splitterListenKeys_ = [
+    goog.events.listen(doc, [
+      goog.events.EventType.MOUSEMOVE,
+      goog.events.EventType.TOUCHMOVE
+    ], function(e) {
+      var left = goog.style.getClientPosition(this.container_).x;
+      var width = this.container_.clientWidth;
+      if (width > 0) {
+        this.setSplitPosition((e.clientX - left) / width);
+      }
+    }, false, this),
+    goog.events.listen(doc, [
+      goog.events.EventType.MOUSEUP,
+      goog.events.EventType.TOUCHEND
+    ], function(e) {
+      goog.array.forEach(this.splitterListenKeys_, goog.events.unlistenByKey);
+      this.splitterListenKeys_.length = 0;
+    }, false, this)
+  ];
+};
+
+
+/**
+ * Runs a transition between the 2D and the 3D views.
+ * @param {number} duration Duration in milliseconds.
+ * @param {function(this:olcs.OLCesium, number)} step Called on each frame
+ *     with the eased progress, from 0 to 1.
+ * @param {function(this:olcs.OLCesium)} callback Called at the end.
+ * @private
+ */
+olcs.OLCesium.prototype.startTransition_ = function(duration, step,
+    callback) {
+  var start = goog.now();
+  this.transitionCallback_ = callback;
+  this.transitionDelay_ = new goog.async.AnimationDelay(function(millis) {
+    var progress = duration > 0 ?
+        goog.math.clamp((millis - start) / duration, 0, 1) : 1;
+    step.call(this, ol.easing.inAndOut(progress));
+    if (progress < 1) {
+      this.transitionDelay_.start();
+    } else {
+      this.stopTransition_(true);
+    }
+  }, undefined, this);
+  this.transitionDelay_.start();
+};
+
+
+/**
+ * Stops the running transition, if any.
+ * @param {boolean} complete Whether to call the end callback.
+ * @private
+ */
+olcs.OLCesium.prototype.stopTransition_ = function(complete) {
+  if (goog.isNull(this.transitionDelay_)) {
+    return;
+  }
+  var callback = this.transitionCallback_;
+  this.transitionDelay_.dispose();
+  this.transitionDelay_ = null;
+  this.transitionCallback_ = null;
+  this.container_.style.opacity = '';
+  if (complete && !goog.isNull(callback)) {
+    callback.call(this);
+  }
+};
+
+
+/**
+ * Returns the state of the 3D view, which can be serialized, for instance
+ * with {@link olcs.permalink.write}.
+ * @return {?olcsx.State} The state, or null if the view is not defined.
+ * @api
+ */
+olcs.OLCesium.prototype.getState = function() {
+  this.initialize_();
+  if (this.enabled_) {
+    // make sure the view follows the last camera movements
+    this.camera_.checkCameraChange();
+  }
+  var center = this.camera_.getCenter();
+  var heading = this.camera_.getHeading();
+  if (!goog.isDefAndNotNull(center) || !goog.isDef(heading)) {
+    return null;
+  }
+  return {
+    enabled: this.enabled_,
+    center: center,
+    heading: heading,
+    tilt: this.camera_.getTilt(),
+    distance: this.camera_.getDistance()
+  };
+};
+
+
+/**
+ * Restores a state returned by `getState`.
+ * @param {olcsx.State} state
+ * @api
+ */
+olcs.OLCesium.prototype.setState = function(state) {
+  this.initialize_();
+  this.camera_.setViewpoint(state);
+  this.setEnabled(state.enabled);
+  this.requestRender();
+};
+
+
+/**
+ * Renders the scene at the given size and returns it as a PNG data URL, for
+ * instance for printing. The tiles missing at this size are not waited for,
+ * see the `tileloadend` event.
+ * The scene can only render to its own canvas: the canvas is resized for
+ * the time of the call and restored before returning, even if the
+ * rendering fails.
+ * @param {number=} opt_width Width in CSS pixels. Default is the width of
+ *     the canvas.
+ * @param {number=} opt_height Height in CSS pixels. Default is the height of
+ *     the canvas.
+ * @param {number=} opt_pixelRatio Default is the pixel ratio of the instance.
+ * @param {boolean=} opt_withCredits Whether to draw the credits and the
+ *     attributions in the bottom right corner. Default is `false`.
+ * @return {string} The data URL.
+ * @api
+ */
+olcs.OLCesium.prototype.renderToImage = function(opt_width, opt_height,
+    opt_pixelRatio, opt_withCredits) {
+  this.initialize_();
+  var canvas = this.canvas_;
+  var frustum = this.scene_.camera.frustum;
+  var width = goog.isDef(opt_width) ? opt_width : canvas.clientWidth;
+  var height = goog.isDef(opt_height) ? opt_height : canvas.clientHeight;
+  var pixelRatio = goog.isDef(opt_pixelRatio) ?
+      opt_pixelRatio : this.pixelRatio_;
+  goog.asserts.assert(width > 0 && height > 0);
+
+  var previousWidth = canvas.width;
+  var previousHeight = canvas.height;
+  var previousAspectRatio = frustum.aspectRatio;
+
+  var image = /** @type {!HTMLCanvasElement} */
+      (goog.dom.createElement(goog.dom.TagName.CANVAS));
+  try {
+    canvas.width = Math.round(width * pixelRatio);
+    canvas.height = Math.round(height * pixelRatio);
+    frustum.aspectRatio = width / height;
+    this.scene_.initializeFrame();
+    this.scene_.render();
+
+    // the drawing buffer is read before being cleared by the browser, the
+    // context does not need to preserve it
+    image.width = canvas.width;
+    image.height = canvas.height;
+    var context = /** @type {CanvasRenderingContext2D} */
+        (image.getContext('2d'));
+    context.drawImage(canvas, 0, 0);
+    if (opt_withCredits === true) {
+      this.drawCredits_(context, pixelRatio);
+    }
+  } finally {
+    canvas.width = previousWidth;
+    canvas.height = previousHeight;
+    frustum.aspectRatio = previousAspectRatio;
+    this.requestRender();
+  }
+  if (this.enabled_) {
+    // avoid displaying a cleared canvas until the next frame
+    this.scene_.initializeFrame();
+    this.scene_.render();
+  }
+
+  return image.toDataURL('image/png');
+};
+
+
+/**
+ * Draws the texts of the Cesium credits and of the attributions of the map.
+ * @param {CanvasRenderingContext2D} context
+ * @param {number} pixelRatio
+ * @private
+ */
+olcs.OLCesium.prototype.drawCredits_ = function(context, pixelRatio) {
+  var texts = [];
+  var add = function(text) {
+    text = goog.string.collapseWhitespace(text || '');
+    if (text.length > 0 && !goog.array.contains(texts, text)) {
+      texts.push(text);
+    }
+  };
+  goog.array.forEach(olcs.core.getSceneCredits(
+      /** @type {!Cesium.Scene} */ (this.scene_)),
+      function(credit, i, arr) {
+        add(credit.getText());
+      });
+  var attribution = goog.dom.getElementByClass('ol-attribution',
+      this.map_.getViewport());
+  if (!goog.isNull(attribution)) {
+    goog.array.forEach(goog.dom.getElementsByTagNameAndClass(
+        goog.dom.TagName.LI, null, attribution), function(el, i, arr) {
+          if (el.style.display != 'none') {
+            add(goog.dom.getTextContent(el));
+          }
+        });
+  }
+  if (texts.length == 0) {
+    return;
+  }
+
+  var text = texts.join(' ');
+  var fontSize = 10 * pixelRatio;
+  var padding = 3 * pixelRatio;
+  context.font = fontSize + 'px sans-serif';
+  var textWidth = context.measureText(text).width;
+  var canvasWidth = context.canvas.width;
+  var canvasHeight = context.canvas.height;
+  context.fillStyle = 'rgba(255, 255, 255, 0.7)';
+  context.fillRect(canvasWidth - textWidth - 2 * padding,
+      canvasHeight - fontSize - 2 * padding,
+      textWidth + 2 * padding, fontSize + 2 * padding);
+  context.fillStyle = '#000';
+  context.textAlign = 'right';
+  context.textBaseline = 'bottom';
+  context.fillText(text, canvasWidth - padding, canvasHeight - padding);
+};
+
+
+/**
+ * Loads the imagery and terrain tiles of an extent while the scene is
+ * disabled, so that they are displayed at once when enabling it over this
+ * extent. The hidden camera frames the extent until all the tiles are loaded
+ * or the timeout expires, then goes back to its position. Consecutive calls
+ * are run one after the other.
+ * @param {ol.Extent} extent In the view projection.
+ * @param {olcsx.PreloadOptions=} opt_options
+ * @return {!goog.Promise.<boolean>} Resolved with whether all the tiles were
+ *     loaded before the timeout. Resolved with `false` if the scene is
+ *     enabled.
+ * @api
+ */
+olcs.OLCesium.prototype.preload = function(extent, opt_options) {
+  var run = goog.bind(this.preload_, this, extent, opt_options);
+  var promise = goog.isNull(this.preloadPromise_) ?
+      run() : this.preloadPromise_.then(run);
+  this.preloadPromise_ = promise;
+  promise.thenAlways(function() {
+    if (this.preloadPromise_ === promise) {
+      this.preloadPromise_ = null;
+    }
+  }, this);
+  return promise;
+};
+
+
+/**
+ * @param {ol.Extent} extent In the view projection.
+ * @param {olcsx.PreloadOptions=} opt_options
+ * @return {!goog.Promise.<boolean>}
+ * @private
+ */
+olcs.OLCesium.prototype.preload_ = function(extent, opt_options) {
+  var view = this.map_.getView();
+  if (this.enabled_ || this.isDisposed() || goog.isNull(view)) {
+    return goog.Promise.resolve(false);
+  }
+  this.initialize_();
+  var options = goog.isDef(opt_options) ? opt_options : {};
+  var timeout = goog.isDef(options.timeout) ? options.timeout : 10000;
+  var rectangle = olcs.core.extentToRectangle(extent, view.getProjection());
+  goog.asserts.assert(!goog.isNull(rectangle));
+
+  var camera = this.scene_.camera;
+  var position = camera.position.clone();
+  var direction = camera.direction.clone();
+  var up = camera.up.clone();
+  camera.viewRectangle(rectangle);
+
+  var resolver = goog.Promise.withResolver();
+  var timeoutKey, listenKey;
+  // a few frames without pending tiles are required, the loading only
+  // starts after the first frames
+  var idleFrames = 0;
+
+  var finish = goog.bind(function(complete) {
+    goog.Timer.clear(timeoutKey);
+    goog.events.unlistenByKey(listenKey);
+    this.preloadFinish_ = null;
+    if (!this.enabled_) {
+      camera.position = position;
+      camera.direction = direction;
+      camera.up = up;
+      this.cesiumRenderingDelay_.stop();
+    }
+    resolver.resolve(complete);
+  }, this);
+
+  listenKey = goog.events.listen(this, olcs.OLCesiumEventType.POSTCOMPOSE,
+      function(e) {
+        var pending = olcs.core.getPendingTileCount(
+            /** @type {!Cesium.Globe} */ (this.globe_));
+        this.dispatchEvent({
+          type: olcs.OLCesiumEventType.PRELOADPROGRESS,
+          pending: pending
+        });
+        idleFrames = pending > 0 ? 0 : idleFrames + 1;
+        var complete;
+        if (this.enabled_) {
+          // the camera is now driven by the view
+          complete = false;
+        } else if (idleFrames >= olcs.OLCesium.PRELOAD_IDLE_FRAMES_) {
+          complete = true;
+        } else {
+          this.requestRender();
+          return;
+        }
+        // the render loop restarts itself after this listener, stop it
+        // from outside
+        goog.events.unlistenByKey(listenKey);
+        goog.Timer.clear(timeoutKey);
+        timeoutKey = goog.Timer.callOnce(goog.partial(finish, complete), 0);
+      }, false, this);
+  timeoutKey = goog.Timer.callOnce(goog.partial(finish, false), timeout);
+  this.preloadFinish_ = finish;
+
+  this.requestRender();
+  this.cesiumRenderingDelay_.start();
+  return resolver.promise;
+};
+
+
+/**
+ * Number of consecutive frames without pending tiles after which `preload`
+ * is complete.
+ * @type {number}
+ * @private
+ */
+olcs.OLCesium.PRELOAD_IDLE_FRAMES_ = 10;
+
+
+/**
+* Preload Cesium so that it is ready when transitioning from 2D to 3D.
+* @param {number} height Target height of the camera
+* @param {number} timeout Milliseconds after which the warming will stop
+* @api
+*/
 olcs.OLCesium.prototype.warmUp = function(height, timeout) {
   if (this.enabled_) {
     // already enabled
     return;
   }
+  this.initialize_();
   this.camera_.readFromView();
   var ellipsoid = this.globe_.ellipsoid;
   var csCamera = this.scene_.camera;
@@ -275,9 +1743,72 @@ olcs.OLCesium.prototype.warmUp = function(height, timeout) {
     position.height = height;
     csCamera.position = ellipsoid.cartographicToCartesian(position);
   }
+  this.requestRender();
   this.cesiumRenderingDelay_.start();
-  var that = this;
-  setTimeout(
-      function() { !that.enabled_ && that.cesiumRenderingDelay_.stop(); },
-      timeout);
+  goog.Timer.clear(this.warmUpTimeoutKey_);
+  this.warmUpTimeoutKey_ = goog.Timer.callOnce(function() {
+    this.warmUpTimeoutKey_ = null;
+    if (!this.enabled_) {
+      this.cesiumRenderingDelay_.stop();
+    }
+  }, timeout, this);
+};
+
+
+/**
+ * Stops rendering and releases everything created by this instance: the
+ * synchronizers and their listeners, the Cesium scene and the DOM container.
+ * The paused interactions and the hidden layers of the map are restored.
+ * The instance must not be used afterwards.
+ * @api
+ */
+olcs.OLCesium.prototype.destroy = function() {
+  this.dispose();
 };
+
+
+/**
+ * @inheritDoc
+ */
+olcs.OLCesium.prototype.disposeInternal = function() {
+  this.stopTransition_(true);
+  this.setEnabled(false);
+  if (!goog.isNull(this.preloadFinish_)) {
+    this.preloadFinish_(false);
+  }
+  goog.Timer.clear(this.warmUpTimeoutKey_);
+  this.cesiumRenderingDelay_.dispose();
+
+  if (!goog.isNull(this.scene_)) {
+    for (var i = this.synchronizers_.length - 1; i >= 0; --i) {
+      this.synchronizers_[i].destroy();
+    }
+    this.synchronizers_.length = 0;
+
+    this.camera_.destroy();
+    this.interactionBridge_.destroy();
+    this.overlaySynchronizer_.destroy();
+    this.creditSynchronizer_.destroy();
+    this.firstPersonNavigation_.destroy();
+
+    // also destroys the globe, the imagery layers and the primitives
+    this.scene_.destroy();
+  }
+
+  goog.events.removeAll(this.canvas_);
+  goog.dom.removeNode(this.container_);
+  if (!goog.isNull(this.splitter_)) {
+    goog.array.forEach(this.splitterListenKeys_, goog.events.unlistenByKey);
+    goog.events.removeAll(this.splitter_);
+    goog.dom.removeNode(this.splitter_);
+  }
+
+  goog.base(this, 'disposeInternal');
+};
+
+
+/**
+ * @inheritDoc
+ * @api
+ */
+olcs.OLCesium.prototype.listen;
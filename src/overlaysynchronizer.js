@@ -0,0 +1,419 @@
+goog.provide('olcs.OverlaySynchronizer');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.events');
+goog.require('goog.events.Event');
+goog.require('goog.events.EventTarget');
+goog.require('goog.events.EventType');
+goog.require('goog.math');
+goog.require('goog.object');
+goog.require('ol.proj');
+
+
+
+/**
+ * Displays the elements of the ol.Overlay instances of the map over the
+ * Cesium scene. While active, the elements are moved out of the map into the
+ * element of the synchronizer and positioned after each rendering of the
+ * scene; they are hidden when their position is behind the globe or the
+ * terrain. The elements are given back to the overlays when deactivated.
+ * The third value of the position of an overlay, if any, is its altitude;
+ * otherwise the overlay is put on the terrain.
+ * A `change` event is dispatched when an overlay must be repositioned.
+ * @param {!ol.Map} map
+ * @param {!Cesium.Scene} scene
+ * @constructor
+ * @extends {goog.events.EventTarget}
+ * @api
+ */
+olcs.OverlaySynchronizer = function(map, scene) {
+  goog.base(this);
+
+  /**
+   * @type {!ol.Map}
+   * @private
+   */
+  this.map_ = map;
+
+  /**
+   * @type {!Cesium.Scene}
+   * @private
+   */
+  this.scene_ = scene;
+
+  /**
+   * Container of the overlays, to be placed over the Cesium canvas.
+   * @type {!Element}
+   * @private
+   */
+  this.element_ = goog.dom.createDom(goog.dom.TagName.DIV, {
+    'class': 'olcs-overlaycontainer',
+    style: 'position:absolute;top:0;left:0;width:100%;height:100%;' +
+        'pointer-events:none;'
+  });
+
+  // like the "stopEvent" container of the map
+  goog.events.listen(this.element_, [
+    goog.events.EventType.CLICK,
+    goog.events.EventType.DBLCLICK,
+    goog.events.EventType.MOUSEDOWN,
+    goog.events.EventType.TOUCHSTART,
+    goog.events.EventType.MSPOINTERDOWN,
+    goog.events.EventType.POINTERDOWN,
+    goog.events.EventType.MOUSEWHEEL,
+    goog.events.EventType.WHEEL
+  ], goog.events.Event.stopPropagation);
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  this.active_ = false;
+
+  /**
+   * Map of overlay ids (from goog.getUid) to their state.
+   * @type {!Object.<number, olcs.OverlaySynchronizer.State_>}
+   * @private
+   */
+  this.states_ = {};
+
+  /**
+   * @type {!Array}
+   * @private
+   */
+  this.overlaysListenKeys_ = [];
+
+  /**
+   * @type {?function()}
+   * @private
+   */
+  this.removePostRenderListener_ = null;
+};
+goog.inherits(olcs.OverlaySynchronizer, goog.events.EventTarget);
+
+
+/**
+ * @typedef {{
+ *   overlay: ol.Overlay,
+ *   element: (Element|undefined),
+ *   wrapper: !Element,
+ *   listenKeys: !Array
+ * }}
+ * @private
+ */
+olcs.OverlaySynchronizer.State_;
+
+
+/**
+ * Overlays are hidden when the globe is picked closer to the camera than
+ * their position by more than this ratio of their distance.
+ * @type {number}
+ * @private
+ */
+olcs.OverlaySynchronizer.OCCLUSION_TOLERANCE_ = 0.01;
+
+
+/**
+ * @return {!Element} The container of the overlays.
+ * @api
+ */
+olcs.OverlaySynchronizer.prototype.getElement = function() {
+  return this.element_;
+};
+
+
+/**
+ * @return {boolean}
+ * @api
+ */
+olcs.OverlaySynchronizer.prototype.getActive = function() {
+  return this.active_;
+};
+
+
+/**
+ * Starts or stops displaying the overlays over the Cesium scene.
+ * @param {boolean} active
+ * @api
+ */
+olcs.OverlaySynchronizer.prototype.setActive = function(active) {
+  if (this.active_ == active) {
+    return;
+  }
+  this.active_ = active;
+
+  var overlays = this.map_.getOverlays();
+  if (active) {
+    this.overlaysListenKeys_ = [
+      overlays.on('add', function(e) {
+        this.addOverlay_(e.element);
+      }, this),
+      overlays.on('remove', function(e) {
+        this.removeOverlay_(e.element);
+      }, this)
+    ];
+    overlays.forEach(function(el, i, arr) {
+      this.addOverlay_(el);
+    }, this);
+    this.listenPostRender_();
+  } else {
+    goog.array.forEach(this.overlaysListenKeys_, overlays.unByKey);
+    this.overlaysListenKeys_.length = 0;
+    goog.object.forEach(this.states_, function(state, id, obj) {
+      this.removeOverlay_(state.overlay);
+    }, this);
+    this.unlistenPostRender_();
+  }
+  this.changed_();
+};
+
+
+/**
+ * Gives the overlays back to the current map and displays those of the
+ * given map instead, if active.
+ * @param {!ol.Map} map
+ */
+olcs.OverlaySynchronizer.prototype.setMap = function(map) {
+  var active = this.active_;
+  this.setActive(false);
+  this.map_ = map;
+  this.setActive(active);
+};
+
+
+/**
+ * @param {!Cesium.Scene} scene
+ */
+olcs.OverlaySynchronizer.prototype.setScene = function(scene) {
+  this.unlistenPostRender_();
+  this.scene_ = scene;
+  if (this.active_) {
+    this.listenPostRender_();
+  }
+};
+
+
+/**
+ * @private
+ */
+olcs.OverlaySynchronizer.prototype.listenPostRender_ = function() {
+  this.removePostRenderListener_ =
+      this.scene_.postRender.addEventListener(this.updatePositions_, this);
+};
+
+
+/**
+ * @private
+ */
+olcs.OverlaySynchronizer.prototype.unlistenPostRender_ = function() {
+  if (!goog.isNull(this.removePostRenderListener_)) {
+    this.removePostRenderListener_();
+    this.removePostRenderListener_ = null;
+  }
+};
+
+
+/**
+ * @private
+ */
+olcs.OverlaySynchronizer.prototype.changed_ = function() {
+  this.dispatchEvent(goog.events.EventType.CHANGE);
+};
+
+
+/**
+ * @param {ol.Overlay} overlay
+ * @private
+ */
+olcs.OverlaySynchronizer.prototype.addOverlay_ = function(overlay) {
+  var wrapper = goog.dom.createDom(goog.dom.TagName.DIV, {
+    'class': 'ol-overlay-container',
+    style: 'position:absolute;pointer-events:auto;display:none;'
+  });
+  goog.dom.appendChild(this.element_, wrapper);
+
+  /** @type {olcs.OverlaySynchronizer.State_} */
+  var state = {
+    overlay: overlay,
+    element: undefined,
+    wrapper: wrapper,
+    listenKeys: []
+  };
+  this.states_[goog.getUid(overlay)] = state;
+  this.takeElement_(state);
+
+  state.listenKeys.push(overlay.on('change:element', function(e) {
+    // ignore the change made by takeElement_
+    if (goog.isDefAndNotNull(overlay.getElement())) {
+      if (goog.isDef(state.element)) {
+        goog.dom.removeNode(state.element);
+      }
+      this.takeElement_(state);
+      this.changed_();
+    }
+  }, this));
+  goog.array.forEach(['change:position', 'change:positioning',
+    'change:offset'], function(type, i, arr) {
+    state.listenKeys.push(overlay.on(type, this.changed_, this));
+  }, this);
+};
+
+
+/**
+ * Moves the element of the overlay into the wrapper.
+ * @param {olcs.OverlaySynchronizer.State_} state
+ * @private
+ */
+olcs.OverlaySynchronizer.prototype.takeElement_ = function(state) {
+  var element = state.overlay.getElement();
+  state.element = element;
+  if (goog.isDefAndNotNull(element)) {
+    state.overlay.setElement(undefined);
+    goog.dom.appendChild(state.wrapper, element);
+  }
+};
+
+
+/**
+ * Gives the element back to the overlay and forgets it.
+ * @param {ol.Overlay} overlay
+ * @private
+ */
+olcs.OverlaySynchronizer.prototype.removeOverlay_ = function(overlay) {
+  var id = goog.getUid(overlay);
+  var state = this.states_[id];
+  if (!goog.isDef(state)) {
+    return;
+  }
+  goog.array.forEach(state.listenKeys, overlay.unByKey);
+  if (goog.isDefAndNotNull(state.element)) {
+    goog.dom.removeNode(state.element);
+    if (!goog.isDefAndNotNull(overlay.getElement())) {
+      overlay.setElement(state.element);
+    }
+  }
+  goog.dom.removeNode(state.wrapper);
+  delete this.states_[id];
+};
+
+
+/**
+ * @private
+ */
+olcs.OverlaySynchronizer.prototype.updatePositions_ = function() {
+  var view = this.map_.getView();
+  if (goog.isNull(view)) {
+    return;
+  }
+  var projection = view.getProjection();
+  var scene = this.scene_;
+  var camera = scene.camera;
+  var globe = scene.globe;
+  var ellipsoid = globe.ellipsoid;
+  var occluder = new Cesium.EllipsoidalOccluder(ellipsoid, camera.position);
+  var canvas = scene.canvas;
+
+  goog.object.forEach(this.states_, function(state, id, obj) {
+    var overlay = state.overlay;
+    var position = overlay.getPosition();
+    var style = state.wrapper.style;
+    if (!goog.isDefAndNotNull(state.element) || !goog.isDef(position)) {
+      style.display = 'none';
+      return;
+    }
+
+    var lonLat = ol.proj.transform([position[0], position[1]], projection,
+        'EPSG:4326');
+    var carto = new Cesium.Cartographic(goog.math.toRadians(lonLat[0]),
+        goog.math.toRadians(lonLat[1]));
+    if (goog.isDef(position[2])) {
+      carto.height = position[2];
+    } else {
+      var height = globe.getHeight(carto);
+      carto.height = goog.isDef(height) ? height : 0;
+    }
+    var cartesian = ellipsoid.cartographicToCartesian(carto);
+
+    var pixel;
+    if (occluder.isPointVisible(cartesian)) {
+      pixel = Cesium.SceneTransforms.wgs84ToWindowCoordinates(scene,
+          cartesian);
+    }
+    if (goog.isDef(pixel)) {
+      var picked = globe.pick(camera.getPickRay(pixel), scene);
+      if (goog.isDef(picked)) {
+        var distance = Cesium.Cartesian3.distance(camera.position, cartesian);
+        var pickedDistance = Cesium.Cartesian3.distance(camera.position,
+            picked);
+        if (distance - pickedDistance >
+            distance * olcs.OverlaySynchronizer.OCCLUSION_TOLERANCE_) {
+          // behind the terrain
+          pixel = undefined;
+        }
+      }
+    }
+    if (!goog.isDef(pixel)) {
+      style.display = 'none';
+      return;
+    }
+
+    style.display = '';
+    olcs.OverlaySynchronizer.positionWrapper_(state.wrapper,
+        [pixel.x, pixel.y], overlay.getOffset(), overlay.getPositioning(),
+        [canvas.clientWidth, canvas.clientHeight]);
+  }, this);
+};
+
+
+/**
+ * Positions the wrapper like ol.Overlay does.
+ * @param {!Element} wrapper
+ * @param {!Array.<number>} pixel
+ * @param {Array.<number>} offset
+ * @param {ol.OverlayPositioning|string|undefined} positioning
+ * @param {!Array.<number>} size Size of the Cesium canvas.
+ * @private
+ */
+olcs.OverlaySynchronizer.positionWrapper_ = function(wrapper, pixel, offset,
+    positioning, size) {
+  var style = wrapper.style;
+  var offsetX = goog.isDefAndNotNull(offset) ? offset[0] : 0;
+  var offsetY = goog.isDefAndNotNull(offset) ? offset[1] : 0;
+  positioning = goog.isDef(positioning) ? positioning : 'top-left';
+  var parts = positioning.split('-');
+
+  if (parts[1] == 'right') {
+    style.left = 'auto';
+    style.right = Math.round(size[0] - pixel[0] - offsetX) + 'px';
+  } else {
+    if (parts[1] == 'center') {
+      offsetX -= wrapper.offsetWidth / 2;
+    }
+    style.left = Math.round(pixel[0] + offsetX) + 'px';
+    style.right = 'auto';
+  }
+
+  if (parts[0] == 'bottom') {
+    style.top = 'auto';
+    style.bottom = Math.round(size[1] - pixel[1] - offsetY) + 'px';
+  } else {
+    if (parts[0] == 'center') {
+      offsetY -= wrapper.offsetHeight / 2;
+    }
+    style.top = Math.round(pixel[1] + offsetY) + 'px';
+    style.bottom = 'auto';
+  }
+};
+
+
+/**
+ * Gives the elements back to the overlays and removes the container.
+ * The synchronizer must not be used afterwards.
+ */
+olcs.OverlaySynchronizer.prototype.destroy = function() {
+  this.setActive(false);
+  goog.events.removeAll(this.element_);
+  goog.dom.removeNode(this.element_);
+  this.removeAllListeners();
+};
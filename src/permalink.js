@@ -0,0 +1,83 @@
+goog.provide('olcs.permalink');
+
+goog.require('goog.array');
+goog.require('goog.object');
+goog.require('goog.string');
+
+
+/**
+ * Number of decimals kept for each value of the state.
+ * @type {!Object.<string, number>}
+ * @private
+ */
+olcs.permalink.PRECISIONS_ = {
+  'x': 6,
+  'y': 6,
+  'heading': 4,
+  'tilt': 4,
+  'distance': 1
+};
+
+
+/**
+ * Serializes a state returned by {@link olcs.OLCesium#getState} in URL hash
+ * form, for instance `3d=1&x=1.5&y=2&heading=0&tilt=0.5&distance=1000`.
+ * @param {olcsx.State} state
+ * @return {string} The hash, without the leading `#`.
+ * @api
+ */
+olcs.permalink.write = function(state) {
+  var values = {
+    'x': state.center[0],
+    'y': state.center[1],
+    'heading': state.heading,
+    'tilt': state.tilt,
+    'distance': state.distance
+  };
+  var parts = ['3d=' + (state.enabled ? 1 : 0)];
+  goog.object.forEach(values, function(value, key, obj) {
+    var rounded = parseFloat(value.toFixed(olcs.permalink.PRECISIONS_[key]));
+    parts.push(key + '=' + rounded);
+  });
+  return parts.join('&');
+};
+
+
+/**
+ * Reads a state written by {@link olcs.permalink.write}, to be restored with
+ * {@link olcs.OLCesium#setState}.
+ * @param {string} hash The hash, with or without the leading `#`.
+ * @return {?olcsx.State} The state, or null if a value is missing or invalid.
+ * @api
+ */
+olcs.permalink.read = function(hash) {
+  if (goog.string.startsWith(hash, '#')) {
+    hash = hash.substr(1);
+  }
+  var values = {};
+  goog.array.forEach(hash.split('&'), function(part, i, arr) {
+    var index = part.indexOf('=');
+    if (index > 0) {
+      values[part.substr(0, index)] = part.substr(index + 1);
+    }
+  });
+
+  var numbers = {};
+  var keys = goog.object.getKeys(olcs.permalink.PRECISIONS_);
+  var valid = goog.array.every(keys, function(key, i, arr) {
+    var number = goog.string.toNumber(values[key] || '');
+    numbers[key] = number;
+    return !isNaN(number);
+  });
+  if (!valid || !goog.isDef(values['3d'])) {
+    return null;
+  }
+
+  return {
+    enabled: values['3d'] == '1',
+    center: [numbers['x'], numbers['y']],
+    heading: numbers['heading'],
+    tilt: numbers['tilt'],
+    distance: numbers['distance']
+  };
+};
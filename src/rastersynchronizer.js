@@ -1,9 +1,11 @@
 goog.provide('olcs.RasterSynchronizer');
 
+goog.require('goog.array');
 goog.require('goog.events');
 goog.require('ol.layer.Tile');
 goog.require('olcs.AbstractSynchronizer');
 goog.require('olcs.core');
+goog.require('olcs.core.OLImageryProvider');
 
 
 
@@ -47,6 +49,7 @@ olcs.RasterSynchronizer.prototype.addCesiumObject = function(object) {
  * @inheritDoc
  */
 olcs.RasterSynchronizer.prototype.destroyCesiumObject = function(object) {
+  olcs.RasterSynchronizer.destroyImageryProvider_(object);
   object.destroy();
 };
 
@@ -56,7 +59,11 @@ olcs.RasterSynchronizer.prototype.destroyCesiumObject = function(object) {
  */
 olcs.RasterSynchronizer.prototype.removeAllCesiumObjects = function(destroy) {
   for (var i = 0; i < this.ourLayers_.length; ++i) {
-    this.cesiumLayers_.remove(this.ourLayers_.get(i), destroy);
+    var layer = this.ourLayers_.get(i);
+    if (destroy) {
+      olcs.RasterSynchronizer.destroyImageryProvider_(layer);
+    }
+    this.cesiumLayers_.remove(layer, destroy);
   }
   this.ourLayers_.removeAll(false);
 };
@@ -73,35 +80,78 @@ olcs.RasterSynchronizer.prototype.createSingleCounterpart = function(olLayer) {
   var viewProj = this.view.getProjection();
   var cesiumObject = olcs.core.tileLayerToImageryLayer(olLayer, viewProj);
   if (!goog.isNull(cesiumObject)) {
-    olLayer.on(
+    var olLayerId = goog.getUid(olLayer);
+    var listenKeys = [];
+    this.olLayerListenKeys[olLayerId] = listenKeys;
+
+    goog.array.forEach(
         ['change:brightness', 'change:contrast', 'change:hue',
          'change:opacity', 'change:saturation', 'change:visible'],
-        function(e) {
-          // the compiler does not seem to be able to infer this
-          if (!goog.isNull(cesiumObject)) {
-            olcs.core.updateCesiumLayerProperties(olLayer, cesiumObject);
-          }
-        });
+        function(type, i, arr) {
+          listenKeys.push(olLayer.on(type, function(e) {
+            // the compiler does not seem to be able to infer this
+            if (!goog.isNull(cesiumObject)) {
+              olcs.core.updateCesiumLayerProperties(olLayer, cesiumObject);
+              this.changed();
+            }
+          }, this));
+        }, this);
     olcs.core.updateCesiumLayerProperties(olLayer, cesiumObject);
 
     // there is no way to modify Cesium layer extent,
     // we have to recreate when ol3 layer extent changes:
-    olLayer.on('change:extent', function(e) {
+    listenKeys.push(olLayer.on('change:extent', function(e) {
+      olcs.RasterSynchronizer.destroyImageryProvider_(cesiumObject);
       this.cesiumLayers_.remove(cesiumObject, true); // destroy
       this.ourLayers_.remove(cesiumObject, false);
-      delete this.layerMap[goog.getUid(olLayer)]; // invalidate the map entry
+      delete this.layerMap[olLayerId]; // invalidate the map entry
+      this.unlistenSingleLayer(olLayerId);
       this.synchronize();
-    }, this);
+    }, this));
 
-    olLayer.on('change', function(e) {
+    listenKeys.push(olLayer.on('change', function(e) {
       // when the source changes, re-add the layer to force update
       var position = this.cesiumLayers_.indexOf(cesiumObject);
       if (position >= 0) {
         this.cesiumLayers_.remove(cesiumObject, false);
         this.cesiumLayers_.add(cesiumObject, position);
+        this.changed();
       }
-    }, this);
+    }, this));
   }
 
   return cesiumObject;
 };
+
+
+/**
+ * @inheritDoc
+ */
+olcs.RasterSynchronizer.prototype.setScene = function(scene) {
+  this.destroyAll();
+  this.cesiumLayers_ = scene.imageryLayers;
+  goog.base(this, 'setScene', scene);
+};
+
+
+/**
+ * @inheritDoc
+ */
+olcs.RasterSynchronizer.prototype.destroy = function() {
+  goog.base(this, 'destroy');
+  this.ourLayers_.destroy();
+};
+
+
+/**
+ * Destroying an imagery layer leaves its provider alone, the providers
+ * created by olcs.core listen to their ol3 source.
+ * @param {!Cesium.ImageryLayer} layer
+ * @private
+ */
+olcs.RasterSynchronizer.destroyImageryProvider_ = function(layer) {
+  var provider = layer.imageryProvider;
+  if (provider instanceof olcs.core.OLImageryProvider) {
+    provider.destroy();
+  }
+};
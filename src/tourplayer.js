@@ -0,0 +1,466 @@
+goog.provide('olcs.TourPlayer');
+goog.provide('olcs.TourPlayerEventType');
+goog.provide('olcs.TourPlayerState');
+
+goog.require('goog.Timer');
+goog.require('goog.array');
+goog.require('goog.asserts');
+goog.require('goog.events.EventTarget');
+goog.require('goog.json');
+goog.require('olcs.Camera');
+
+
+/**
+ * @enum {string}
+ * @api
+ */
+olcs.TourPlayerEventType = {
+  /**
+   * Triggered when the camera reaches a waypoint, before pausing on it. The
+   * `index` and `waypoint` properties of the event hold the reached
+   * waypoint.
+   */
+  WAYPOINT: 'waypoint',
+  /**
+   * Triggered when the last waypoint of a tour which does not loop has been
+   * played, including its pause. The player is then stopped.
+   */
+  END: 'end',
+  /**
+   * Triggered when the player is played, paused or stopped. The `state`
+   * property of the event holds the new state.
+   */
+  CHANGE_STATE: 'change:state'
+};
+
+
+/**
+ * @enum {string}
+ * @api
+ */
+olcs.TourPlayerState = {
+  STOPPED: 'stopped',
+  PLAYING: 'playing',
+  PAUSED: 'paused'
+};
+
+
+
+/**
+ * Plays a tour: flies the camera from waypoint to waypoint, pausing on each
+ * of them. Moving the view while a flight is running, for instance with a
+ * map interaction, pauses the player.
+ * Dispatches the events listed in {@link olcs.TourPlayerEventType}.
+ * @param {!olcs.Camera} camera
+ * @param {olcsx.Tour=} opt_tour
+ * @constructor
+ * @extends {goog.events.EventTarget}
+ * @api
+ */
+olcs.TourPlayer = function(camera, opt_tour) {
+  goog.base(this);
+
+  /**
+   * @type {!olcs.Camera}
+   * @private
+   */
+  this.camera_ = camera;
+
+  /**
+   * @type {olcsx.Tour}
+   * @private
+   */
+  this.tour_ = goog.isDef(opt_tour) ? opt_tour : {waypoints: []};
+
+  /**
+   * Index of the waypoint the camera is flying to or pausing on.
+   * @type {number}
+   * @private
+   */
+  this.index_ = 0;
+
+  /**
+   * @type {olcs.TourPlayerState}
+   * @private
+   */
+  this.state_ = olcs.TourPlayerState.STOPPED;
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  this.flying_ = false;
+
+  /**
+   * @type {?number}
+   * @private
+   */
+  this.pauseTimerKey_ = null;
+
+  /**
+   * Time at which the pause on the current waypoint ends.
+   * @type {number}
+   * @private
+   */
+  this.pauseEnd_ = 0;
+
+  /**
+   * Duration of the pause left on the current waypoint when the player was
+   * paused, or null if it was paused during the flight to the waypoint.
+   * @type {?number}
+   * @private
+   */
+  this.remainingPause_ = null;
+};
+goog.inherits(olcs.TourPlayer, goog.events.EventTarget);
+
+
+/**
+ * Default duration of the flight to a waypoint, in milliseconds.
+ * @type {number}
+ */
+olcs.TourPlayer.DEFAULT_DURATION = 3000;
+
+
+/**
+ * Default duration of the pause on a waypoint, in milliseconds.
+ * @type {number}
+ */
+olcs.TourPlayer.DEFAULT_PAUSE = 2000;
+
+
+/**
+ * @return {olcsx.Tour}
+ * @api
+ */
+olcs.TourPlayer.prototype.getTour = function() {
+  return this.tour_;
+};
+
+
+/**
+ * Stops the player and replaces the tour.
+ * @param {olcsx.Tour} tour
+ * @api
+ */
+olcs.TourPlayer.prototype.setTour = function(tour) {
+  this.stop();
+  this.tour_ = tour;
+};
+
+
+/**
+ * @return {olcs.TourPlayerState}
+ * @api
+ */
+olcs.TourPlayer.prototype.getState = function() {
+  return this.state_;
+};
+
+
+/**
+ * @return {number} Index of the waypoint the camera is flying to or pausing
+ *     on.
+ * @api
+ */
+olcs.TourPlayer.prototype.getIndex = function() {
+  return this.index_;
+};
+
+
+/**
+ * Starts playing the tour from the first waypoint, or resumes it where it
+ * was paused.
+ * @api
+ */
+olcs.TourPlayer.prototype.play = function() {
+  if (this.state_ == olcs.TourPlayerState.PLAYING ||
+      this.tour_.waypoints.length == 0) {
+    return;
+  }
+  var remainingPause = this.state_ == olcs.TourPlayerState.PAUSED ?
+      this.remainingPause_ : null;
+  this.remainingPause_ = null;
+  this.setState_(olcs.TourPlayerState.PLAYING);
+  if (goog.isNull(remainingPause)) {
+    this.flyToWaypoint_();
+  } else {
+    this.startPause_(remainingPause);
+  }
+};
+
+
+/**
+ * Pauses the player. The flight to the current waypoint is interrupted and
+ * started again when resuming.
+ * @api
+ */
+olcs.TourPlayer.prototype.pause = function() {
+  if (this.state_ != olcs.TourPlayerState.PLAYING) {
+    return;
+  }
+  this.remainingPause_ = this.flying_ ? null :
+      Math.max(0, this.pauseEnd_ - goog.now());
+  this.halt_();
+  this.setState_(olcs.TourPlayerState.PAUSED);
+};
+
+
+/**
+ * Stops the player, the next `play` starts from the first waypoint. The
+ * camera stays where it is.
+ * @api
+ */
+olcs.TourPlayer.prototype.stop = function() {
+  if (this.state_ == olcs.TourPlayerState.STOPPED) {
+    return;
+  }
+  this.halt_();
+  this.index_ = 0;
+  this.remainingPause_ = null;
+  this.setState_(olcs.TourPlayerState.STOPPED);
+};
+
+
+/**
+ * Moves the camera to a waypoint at once. When playing, the tour continues
+ * from there; otherwise the player is paused on the waypoint.
+ * @param {number} index Index of the waypoint.
+ * @api
+ */
+olcs.TourPlayer.prototype.seek = function(index) {
+  goog.asserts.assert(index >= 0 && index < this.tour_.waypoints.length);
+  this.halt_();
+  this.index_ = index;
+
+  var waypoint = this.tour_.waypoints[index];
+  this.camera_.setViewpoint(waypoint);
+
+  if (this.state_ == olcs.TourPlayerState.PLAYING) {
+    this.arrive_();
+  } else {
+    this.remainingPause_ = olcs.TourPlayer.getPause_(waypoint);
+    this.setState_(olcs.TourPlayerState.PAUSED);
+  }
+};
+
+
+/**
+ * Flies to the current waypoint.
+ * @private
+ */
+olcs.TourPlayer.prototype.flyToWaypoint_ = function() {
+  var waypoint = this.tour_.waypoints[this.index_];
+  this.flying_ = true;
+  this.camera_.flyTo({
+    center: waypoint.center,
+    heading: waypoint.heading,
+    tilt: waypoint.tilt,
+    distance: waypoint.distance,
+    duration: goog.isDef(waypoint.duration) ?
+        waypoint.duration : olcs.TourPlayer.DEFAULT_DURATION,
+    callback: goog.bind(function(complete) {
+      if (!this.flying_) {
+        // cancelled by the player
+        return;
+      }
+      if (complete) {
+        this.flying_ = false;
+        this.arrive_();
+      } else {
+        // the view has been moved from elsewhere
+        this.pause();
+      }
+    }, this)
+  });
+};
+
+
+/**
+ * Notifies that the current waypoint is reached and pauses on it.
+ * @private
+ */
+olcs.TourPlayer.prototype.arrive_ = function() {
+  var waypoint = this.tour_.waypoints[this.index_];
+  this.dispatchEvent({
+    type: olcs.TourPlayerEventType.WAYPOINT,
+    index: this.index_,
+    waypoint: waypoint
+  });
+  if (this.state_ == olcs.TourPlayerState.PLAYING) {
+    this.startPause_(olcs.TourPlayer.getPause_(waypoint));
+  }
+};
+
+
+/**
+ * @param {olcsx.TourWaypoint} waypoint
+ * @return {number} Duration of the pause on the waypoint in milliseconds.
+ * @private
+ */
+olcs.TourPlayer.getPause_ = function(waypoint) {
+  return goog.isDef(waypoint.pause) ?
+      waypoint.pause : olcs.TourPlayer.DEFAULT_PAUSE;
+};
+
+
+/**
+ * @param {number} duration Duration of the pause in milliseconds.
+ * @private
+ */
+olcs.TourPlayer.prototype.startPause_ = function(duration) {
+  this.pauseEnd_ = goog.now() + duration;
+  this.pauseTimerKey_ = goog.Timer.callOnce(this.next_, duration, this);
+};
+
+
+/**
+ * Flies to the next waypoint, or ends the tour.
+ * @private
+ */
+olcs.TourPlayer.prototype.next_ = function() {
+  this.pauseTimerKey_ = null;
+  if (this.index_ + 1 < this.tour_.waypoints.length) {
+    ++this.index_;
+  } else if (this.tour_.loop) {
+    this.index_ = 0;
+  } else {
+    this.stop();
+    this.dispatchEvent(olcs.TourPlayerEventType.END);
+    return;
+  }
+  this.flyToWaypoint_();
+};
+
+
+/**
+ * Cancels the running flight or pause.
+ * @private
+ */
+olcs.TourPlayer.prototype.halt_ = function() {
+  if (!goog.isNull(this.pauseTimerKey_)) {
+    goog.Timer.clear(this.pauseTimerKey_);
+    this.pauseTimerKey_ = null;
+  }
+  if (this.flying_) {
+    this.flying_ = false;
+    this.camera_.cancelFlight();
+  }
+};
+
+
+/**
+ * @param {olcs.TourPlayerState} state
+ * @private
+ */
+olcs.TourPlayer.prototype.setState_ = function(state) {
+  if (this.state_ != state) {
+    this.state_ = state;
+    this.dispatchEvent({
+      type: olcs.TourPlayerEventType.CHANGE_STATE,
+      state: state
+    });
+  }
+};
+
+
+/**
+ * Stops the player and removes its listeners. The player must not be used
+ * afterwards.
+ * @api
+ */
+olcs.TourPlayer.prototype.destroy = function() {
+  this.stop();
+  this.removeAllListeners();
+};
+
+
+/**
+ * Reads a tour from its JSON representation, as written by `writeTour`.
+ * @param {string|Object} source The JSON string or the parsed object.
+ * @return {?olcsx.Tour} The tour, or null if a waypoint is missing a
+ *     value or has an invalid one.
+ * @api
+ */
+olcs.TourPlayer.readTour = function(source) {
+  var object = source;
+  if (goog.isString(source)) {
+    try {
+      object = goog.json.parse(source);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!goog.isObject(object) || !goog.isArray(object['waypoints'])) {
+    return null;
+  }
+  var isNumber = function(value) {
+    return goog.isNumber(value) && isFinite(value);
+  };
+  var isOptionalNumber = function(value) {
+    return !goog.isDef(value) || isNumber(value);
+  };
+  var waypoints = [];
+  var valid = goog.array.every(object['waypoints'], function(el, i, arr) {
+    var center = el['center'];
+    if (!goog.isArray(center) || center.length != 2 ||
+        !goog.array.every(center, isNumber) ||
+        !goog.array.every([el['heading'], el['tilt'], el['distance']],
+            isNumber) ||
+        !goog.array.every([el['duration'], el['pause']], isOptionalNumber)) {
+      return false;
+    }
+    waypoints.push({
+      center: [center[0], center[1]],
+      heading: el['heading'],
+      tilt: el['tilt'],
+      distance: el['distance'],
+      duration: el['duration'],
+      pause: el['pause']
+    });
+    return true;
+  });
+  if (!valid) {
+    return null;
+  }
+  return {
+    waypoints: waypoints,
+    loop: !!object['loop']
+  };
+};
+
+
+/**
+ * Writes the JSON representation of a tour.
+ * @param {olcsx.Tour} tour
+ * @return {string}
+ * @api
+ */
+olcs.TourPlayer.writeTour = function(tour) {
+  var waypoints = goog.array.map(tour.waypoints, function(el, i, arr) {
+    var waypoint = {
+      'center': el.center,
+      'heading': el.heading,
+      'tilt': el.tilt,
+      'distance': el.distance
+    };
+    if (goog.isDef(el.duration)) {
+      waypoint['duration'] = el.duration;
+    }
+    if (goog.isDef(el.pause)) {
+      waypoint['pause'] = el.pause;
+    }
+    return waypoint;
+  });
+  return goog.json.serialize({
+    'waypoints': waypoints,
+    'loop': !!tour.loop
+  });
+};
+
+
+/**
+ * @inheritDoc
+ * @api
+ */
+olcs.TourPlayer.prototype.listen;
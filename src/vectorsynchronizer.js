@@ -80,9 +80,13 @@ olcs.VectorSynchronizer.prototype.createSingleCounterpart = function(olLayer) {
   var csPrimitives = this.converter.olVectorLayerToCesium(olLayer, view,
       featurePrimitiveMap);
 
-  olLayer.on('change:visible', function(e) {
+  var listenKeys = [];
+  this.olLayerListenKeys[goog.getUid(olLayer)] = listenKeys;
+
+  listenKeys.push(olLayer.on('change:visible', function(e) {
     csPrimitives.show = olLayer.getVisible();
-  });
+    this.changed();
+  }, this));
 
   var onAddFeature = goog.bind(function(feature) {
     goog.asserts.assertInstanceof(olLayer, ol.layer.Vector);
@@ -91,6 +95,7 @@ olcs.VectorSynchronizer.prototype.createSingleCounterpart = function(olLayer) {
     if (prim) {
       featurePrimitiveMap[goog.getUid(feature)] = prim;
       csPrimitives.add(prim);
+      this.changed();
     }
   }, this);
 
@@ -112,24 +117,51 @@ olcs.VectorSynchronizer.prototype.createSingleCounterpart = function(olLayer) {
     if (goog.isDefAndNotNull(csPrimitive)) {
       csPrimitives.remove(csPrimitive);
     }
+    this.changed();
   }, this);
 
-  source.on('addfeature', function(e) {
+  listenKeys.push(source.on('addfeature', function(e) {
     goog.asserts.assert(goog.isDefAndNotNull(e.feature));
     onAddFeature(e.feature);
-  }, this);
+  }, this));
 
-  source.on('removefeature', function(e) {
+  listenKeys.push(source.on('removefeature', function(e) {
     goog.asserts.assert(goog.isDefAndNotNull(e.feature));
     onRemoveFeature(e.feature);
-  }, this);
+  }, this));
 
-  source.on('changefeature', function(e) {
+  listenKeys.push(source.on('changefeature', function(e) {
     var feature = e.feature;
     goog.asserts.assert(goog.isDefAndNotNull(feature));
     onRemoveFeature(feature);
     onAddFeature(feature);
-  }, this);
+  }, this));
 
   return csPrimitives;
 };
+
+
+/**
+ * @inheritDoc
+ */
+olcs.VectorSynchronizer.prototype.setScene = function(scene) {
+  this.destroyAll();
+  this.scene.primitives.remove(this.csAllPrimitives_);
+
+  this.converter.setScene(scene);
+  this.csAllPrimitives_ = new Cesium.PrimitiveCollection();
+  scene.primitives.add(this.csAllPrimitives_);
+  this.csAllPrimitives_.destroyPrimitives = false;
+
+  goog.base(this, 'setScene', scene);
+};
+
+
+/**
+ * @inheritDoc
+ */
+olcs.VectorSynchronizer.prototype.destroy = function() {
+  goog.base(this, 'destroy');
+  // the primitives of the scene are destroyed when removed
+  this.scene.primitives.remove(this.csAllPrimitives_);
+};
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Loads the Closure Library in node and the test doubles of
+ * ol3 and Cesium, so that the sources can be evaluated in the global scope.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+require('google-closure-library/closure/goog/bootstrap/nodejs');
+require('./doubles');
+
+
+/**
+ * Paths of the source files already evaluated.
+ * @type {Object.<string, boolean>}
+ */
+var loaded = {};
+
+
+/**
+ * Evaluates a source file in the global scope, once.
+ * @param {string} file Path of the file, relative to the repository root.
+ */
+exports.load = function(file) {
+  var filePath = path.resolve(__dirname, '..', file);
+  if (!loaded[filePath]) {
+    loaded[filePath] = true;
+    vm.runInThisContext(fs.readFileSync(filePath, 'utf-8'), filePath);
+  }
+};
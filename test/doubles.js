@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Minimal doubles of the ol3 and Cesium APIs used by the tested
+ * sources. The views use EPSG:4326 with one meter per unit, so that the
+ * coordinates are not transformed. The Cesium cartesians of the doubles hold
+ * the longitude and the latitude in radians as `x` and `y`.
+ */
+
+goog.provide('ol.Feature');
+goog.provide('ol.easing');
+goog.provide('ol.extent');
+goog.provide('ol.interaction.Interaction');
+goog.provide('ol.proj');
+goog.provide('olcs.core');
+
+goog.require('goog.array');
+goog.require('goog.math');
+
+
+/**
+ * @param {Array.<number>} input
+ * @return {Array.<number>}
+ */
+var identity = function(input) {
+  return input.slice();
+};
+
+
+/**
+ * @constructor
+ */
+ol.Feature = function() {
+};
+
+
+/**
+ * @param {number} t
+ * @return {number}
+ */
+ol.easing.inAndOut = function(t) {
+  return t;
+};
+
+
+/**
+ * @param {Object} options
+ * @constructor
+ */
+ol.interaction.Interaction = function(options) {
+  this.handleEvent = options.handleEvent;
+};
+
+
+/**
+ * @return {function(Array.<number>): Array.<number>}
+ */
+ol.proj.getTransform = function() {
+  return identity;
+};
+
+
+/**
+ * @param {ol.Coordinate} coordinate
+ * @return {ol.Coordinate}
+ */
+ol.proj.transform = function(coordinate) {
+  return identity(coordinate);
+};
+
+
+/**
+ * @param {!Object} scene Scene double.
+ * @return {Object|undefined} The `pickedPosition` of the scene, undefined
+ *     when the sky is picked.
+ */
+olcs.core.pickOnTerrainOrEllipsoid = function(scene) {
+  return scene.pickedPosition;
+};
+
+
+global.Cesium = {
+  Cartesian2: function(x, y) {
+    this.x = x;
+    this.y = y;
+  },
+  Cartesian3: function(x, y, z) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+  },
+  Cartographic: function(longitude, latitude, height) {
+    this.longitude = longitude;
+    this.latitude = latitude;
+    this.height = height || 0;
+  },
+  Ellipsoid: {
+    WGS84: {
+      cartesianToCartographic: function(cartesian) {
+        return new Cesium.Cartographic(cartesian.x, cartesian.y, cartesian.z);
+      }
+    }
+  },
+  Math: {
+    PI_OVER_TWO: Math.PI / 2
+  }
+};
+
+
+/**
+ * Adds `on`, `unByKey`, `dispatch` and `getListenerCount` to an object.
+ * @param {!Object} object
+ * @return {!Object} The object.
+ */
+var observable = function(object) {
+  var listeners = [];
+  object.on = function(type, listener, opt_this) {
+    var key = {type: type, listener: listener, scope: opt_this};
+    listeners.push(key);
+    return key;
+  };
+  object.unByKey = function(key) {
+    goog.array.remove(listeners, key);
+  };
+  /**
+   * @param {string} type
+   * @param {Object=} opt_event
+   * @return {boolean} False if a listener returned false.
+   */
+  object.dispatch = function(type, opt_event) {
+    var event = goog.isDef(opt_event) ? opt_event : {};
+    event.type = type;
+    var result = true;
+    goog.array.forEach(listeners.slice(), function(key) {
+      if (key.type == type && key.listener.call(key.scope, event) === false) {
+        result = false;
+      }
+    });
+    return result;
+  };
+  object.getListenerCount = function() {
+    return listeners.length;
+  };
+  return object;
+};
+
+
+/**
+ * Creates a view double. The resolutions are clamped to
+ * [minResolution, maxResolution] and the centers to the extent, if any.
+ * @param {Object} options `center`, `resolution`, `rotation`,
+ *     `minResolution`, `maxResolution` and `extent`.
+ * @return {!Object}
+ */
+exports.createView = function(options) {
+  var values = {
+    center: options.center,
+    resolution: options.resolution,
+    rotation: goog.isDef(options.rotation) ? options.rotation : 0
+  };
+  var set = function(key, value) {
+    values[key] = value;
+    view.dispatch('propertychange', {key: key});
+  };
+  var view = observable({
+    getCenter: function() {
+      return values.center;
+    },
+    setCenter: function(center) {
+      set('center', center);
+    },
+    getResolution: function() {
+      return values.resolution;
+    },
+    setResolution: function(resolution) {
+      set('resolution', resolution);
+    },
+    getRotation: function() {
+      return values.rotation;
+    },
+    setRotation: function(rotation) {
+      set('rotation', rotation);
+    },
+    getProjection: function() {
+      return {
+        getMetersPerUnit: function() {
+          return 1;
+        }
+      };
+    },
+    constrainCenter: function(center) {
+      var extent = options.extent;
+      if (!goog.isDef(extent) || !goog.isDef(center)) {
+        return center;
+      }
+      return [
+        goog.math.clamp(center[0], extent[0], extent[2]),
+        goog.math.clamp(center[1], extent[1], extent[3])
+      ];
+    },
+    constrainResolution: function(resolution) {
+      return goog.math.clamp(resolution,
+          options.minResolution || 0, options.maxResolution || Infinity);
+    },
+    constrainRotation: function(rotation) {
+      return rotation;
+    }
+  });
+  return view;
+};
+
+
+/**
+ * Creates a map double. The pixel of a coordinate is the coordinate scaled by
+ * 10.
+ * @param {Object} view View double.
+ * @return {!Object}
+ */
+exports.createMap = function(view) {
+  var interactions = [];
+  return observable({
+    getView: function() {
+      return view;
+    },
+    getInteractions: function() {
+      return {
+        insertAt: function(index, interaction) {
+          goog.array.insertAt(interactions, interaction, index);
+        },
+        remove: function(interaction) {
+          goog.array.remove(interactions, interaction);
+        },
+        getArray: function() {
+          return interactions;
+        }
+      };
+    },
+    getPixelFromCoordinate: function(coordinate) {
+      return [coordinate[0] * 10, coordinate[1] * 10];
+    }
+  });
+};
+
+
+/**
+ * Creates a scene double with a canvas of 100 pixels high and a camera with
+ * a vertical field of view of 90 degrees: at the equator, the distance of
+ * the camera is 50 times the resolution.
+ * @return {!Object}
+ */
+exports.createScene = function() {
+  var viewMatrix = {
+    clone: function() {
+      return viewMatrix;
+    },
+    equals: function(other) {
+      return other === viewMatrix;
+    }
+  };
+  return {
+    canvas: {clientHeight: 100},
+    camera: {
+      frustum: {fovy: Math.PI / 2},
+      viewMatrix: viewMatrix,
+      setView: goog.nullFunction,
+      moveBackward: goog.nullFunction
+    },
+    screenSpaceCameraController: {
+      enableInputs: true,
+      minimumZoomDistance: 1,
+      maximumZoomDistance: Number.POSITIVE_INFINITY
+    },
+    pickedPosition: undefined
+  };
+};
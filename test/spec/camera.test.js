@@ -0,0 +1,120 @@
+var assert = require('assert');
+require('../bootstrap').load('src/camera.js');
+var doubles = require('../doubles');
+
+
+/**
+ * @param {number} actual
+ * @param {number} expected
+ */
+var assertRoughly = function(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9,
+      actual + ' is not roughly ' + expected);
+};
+
+
+describe('olcs.Camera', function() {
+
+  describe('setConstraints', function() {
+
+    var view, scene, sscc, camera;
+
+    /**
+     * @param {Object=} opt_options Options of the view double.
+     */
+    var createCamera = function(opt_options) {
+      var options = {
+        center: [0, 0],
+        resolution: 10,
+        minResolution: 1,
+        maxResolution: 100
+      };
+      for (var key in opt_options) {
+        options[key] = opt_options[key];
+      }
+      view = doubles.createView(options);
+      scene = doubles.createScene();
+      sscc = scene.screenSpaceCameraController;
+      camera = new olcs.Camera(scene, doubles.createMap(view));
+    };
+
+    beforeEach(function() {
+      createCamera();
+    });
+
+    it('limits the zoom distances to the resolutions', function() {
+      camera.setConstraints({});
+      assertRoughly(sscc.minimumZoomDistance, 50);
+      assertRoughly(sscc.maximumZoomDistance, 5000);
+    });
+
+    it('limits the heights of the tilted camera', function() {
+      camera.setTilt(Math.PI / 3);
+      camera.setConstraints({});
+      assertRoughly(sscc.minimumZoomDistance, 25);
+      assertRoughly(sscc.maximumZoomDistance, 2500);
+    });
+
+    it('keeps the narrower zoom distances of the controller', function() {
+      sscc.minimumZoomDistance = 100;
+      sscc.maximumZoomDistance = 1000;
+      camera.setConstraints({});
+      assert.strictEqual(sscc.minimumZoomDistance, 100);
+      assert.strictEqual(sscc.maximumZoomDistance, 1000);
+    });
+
+    it('restores the zoom distances', function() {
+      camera.setConstraints({});
+      camera.setConstraints({resolution: false});
+      assert.strictEqual(sscc.minimumZoomDistance, 1);
+      assert.strictEqual(sscc.maximumZoomDistance, Infinity);
+      camera.setConstraints({});
+      camera.setConstraints(null);
+      assert.strictEqual(sscc.minimumZoomDistance, 1);
+      assert.strictEqual(sscc.maximumZoomDistance, Infinity);
+      assert.strictEqual(camera.getConstraints(), null);
+    });
+
+    it('restores the zoom distances on destroy', function() {
+      camera.setConstraints({});
+      camera.destroy();
+      assert.strictEqual(sscc.minimumZoomDistance, 1);
+      assert.strictEqual(sscc.maximumZoomDistance, Infinity);
+    });
+
+    it('clamps the resolution', function() {
+      createCamera({resolution: 1000});
+      camera.setConstraints({});
+      assert.strictEqual(view.getResolution(), 100);
+      assertRoughly(camera.getDistance(), 5000);
+    });
+
+    it('constrains the center', function() {
+      createCamera({center: [20, 0], extent: [-10, -10, 10, 10]});
+      camera.setConstraints({});
+      assert.deepEqual(view.getCenter(), [10, 0]);
+    });
+
+    it('skips the disabled constraints', function() {
+      createCamera({
+        center: [20, 0],
+        resolution: 1000,
+        extent: [-10, -10, 10, 10]
+      });
+      camera.setConstraints({center: false, resolution: false});
+      assert.deepEqual(view.getCenter(), [20, 0]);
+      assert.strictEqual(view.getResolution(), 1000);
+      assert.strictEqual(sscc.minimumZoomDistance, 1);
+    });
+
+    it('limits the tilt', function() {
+      camera.setTilt(1);
+      camera.setConstraints({maxTilt: 0.5});
+      assert.strictEqual(camera.getTilt(), 0.5);
+      camera.setConstraints({});
+      assert.strictEqual(camera.getTilt(), 0.5);
+    });
+
+  });
+
+});
@@ -0,0 +1,93 @@
+var assert = require('assert');
+require('../bootstrap').load('src/interactionbridge.js');
+var doubles = require('../doubles');
+
+
+describe('olcs.InteractionBridge', function() {
+
+  var map, scene, bridge;
+
+  beforeEach(function() {
+    map = doubles.createMap(doubles.createView({center: [0, 0]}));
+    scene = doubles.createScene();
+    bridge = new olcs.InteractionBridge(map, scene);
+    bridge.setActive(true);
+  });
+
+  afterEach(function() {
+    bridge.destroy();
+  });
+
+  /**
+   * @param {number} lon In degrees.
+   * @param {number} lat In degrees.
+   */
+  var pickDegrees = function(lon, lat) {
+    scene.pickedPosition = new Cesium.Cartesian3(
+        lon * Math.PI / 180, lat * Math.PI / 180, 0);
+  };
+
+  it('replaces the coordinate and the pixel by the picked ones', function() {
+    pickDegrees(4, 5);
+    var event = {pixel: [1, 2], coordinate: [3, 4]};
+    assert.strictEqual(map.dispatch('pointermove', event), true);
+    assert.ok(Math.abs(event.coordinate[0] - 4) < 1e-9);
+    assert.ok(Math.abs(event.coordinate[1] - 5) < 1e-9);
+    assert.ok(Math.abs(event.pixel[0] - 40) < 1e-9);
+    assert.ok(Math.abs(event.pixel[1] - 50) < 1e-9);
+  });
+
+  it('stops the events in the sky', function() {
+    var event = {pixel: [1, 2], coordinate: [3, 4]};
+    assert.strictEqual(map.dispatch('click', event), false);
+    assert.deepEqual(event.coordinate, [3, 4]);
+    assert.deepEqual(event.pixel, [1, 2]);
+  });
+
+  it('pauses the camera from a pointer down to the pointer up', function() {
+    pickDegrees(0, 0);
+    var sscc = scene.screenSpaceCameraController;
+    map.dispatch('pointerdown', {pixel: [0, 0]});
+    assert.strictEqual(sscc.enableInputs, false);
+    map.dispatch('pointerup', {pixel: [0, 0]});
+    assert.strictEqual(sscc.enableInputs, true);
+  });
+
+  it('resumes the camera when the pointer down is not stopped', function() {
+    pickDegrees(0, 0);
+    map.dispatch('pointerdown', {pixel: [0, 0]});
+    var interactions = map.getInteractions().getArray();
+    assert.strictEqual(interactions.length, 1);
+    interactions[0].handleEvent({type: 'pointerdown'});
+    assert.strictEqual(scene.screenSpaceCameraController.enableInputs, true);
+  });
+
+  it('stops rewriting the events when inactive', function() {
+    pickDegrees(0, 0);
+    map.dispatch('pointerdown', {pixel: [0, 0]});
+    bridge.setActive(false);
+    assert.strictEqual(map.getListenerCount(), 0);
+    assert.strictEqual(map.getInteractions().getArray().length, 0);
+    assert.strictEqual(scene.screenSpaceCameraController.enableInputs, true);
+    var event = {pixel: [1, 2], coordinate: [3, 4]};
+    assert.strictEqual(map.dispatch('click', event), true);
+    assert.deepEqual(event.coordinate, [3, 4]);
+  });
+
+  it('dispatches change when the interactions change', function() {
+    var changes = 0;
+    bridge.listen('change', function() {
+      ++changes;
+    });
+    var interaction = new ol.interaction.Interaction({});
+    bridge.addInteraction(interaction);
+    bridge.addInteraction(interaction);
+    assert.strictEqual(changes, 1);
+    assert.ok(bridge.isBridged(interaction));
+    assert.strictEqual(bridge.removeInteraction(interaction), true);
+    assert.strictEqual(bridge.removeInteraction(interaction), false);
+    assert.strictEqual(changes, 2);
+    assert.deepEqual(bridge.getInteractions(), []);
+  });
+
+});
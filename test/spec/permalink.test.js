@@ -0,0 +1,76 @@
+var assert = require('assert');
+require('../bootstrap').load('src/permalink.js');
+
+
+describe('olcs.permalink', function() {
+
+  var state = {
+    enabled: true,
+    center: [6.123456789, 46.5],
+    heading: 1.23456,
+    tilt: 0.5,
+    distance: 1234.56
+  };
+
+  describe('write', function() {
+
+    it('writes the rounded values', function() {
+      assert.strictEqual(olcs.permalink.write(state),
+          '3d=1&x=6.123457&y=46.5&heading=1.2346&tilt=0.5&distance=1234.6');
+    });
+
+    it('writes the disabled state', function() {
+      var hash = olcs.permalink.write({
+        enabled: false,
+        center: [0, 0],
+        heading: 0,
+        tilt: 0,
+        distance: 0
+      });
+      assert.strictEqual(hash, '3d=0&x=0&y=0&heading=0&tilt=0&distance=0');
+    });
+
+  });
+
+  describe('read', function() {
+
+    it('reads a written state', function() {
+      assert.deepEqual(olcs.permalink.read(olcs.permalink.write(state)), {
+        enabled: true,
+        center: [6.123457, 46.5],
+        heading: 1.2346,
+        tilt: 0.5,
+        distance: 1234.6
+      });
+    });
+
+    it('ignores the leading # and the other parameters', function() {
+      var read = olcs.permalink.read(
+          '#layer=osm&3d=0&x=1&y=2&heading=3&tilt=0.4&distance=5');
+      assert.deepEqual(read, {
+        enabled: false,
+        center: [1, 2],
+        heading: 3,
+        tilt: 0.4,
+        distance: 5
+      });
+    });
+
+    it('returns null when a value is missing', function() {
+      assert.strictEqual(
+          olcs.permalink.read('3d=1&x=1&y=2&heading=3&tilt=0.4'), null);
+      assert.strictEqual(
+          olcs.permalink.read('x=1&y=2&heading=3&tilt=0.4&distance=5'), null);
+      assert.strictEqual(olcs.permalink.read(''), null);
+    });
+
+    it('returns null when a value is not a number', function() {
+      assert.strictEqual(olcs.permalink.read(
+          '3d=1&x=1&y=abc&heading=3&tilt=0.4&distance=5'), null);
+      assert.strictEqual(olcs.permalink.read(
+          '3d=1&x=1&y=2&heading=&tilt=0.4&distance=5'), null);
+    });
+
+  });
+
+});
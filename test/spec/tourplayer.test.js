@@ -0,0 +1,100 @@
+var assert = require('assert');
+var bootstrap = require('../bootstrap');
+bootstrap.load('src/camera.js');
+bootstrap.load('src/tourplayer.js');
+
+
+describe('olcs.TourPlayer', function() {
+
+  var waypoint = {
+    center: [1, 2],
+    heading: 0.1,
+    tilt: 0.2,
+    distance: 300
+  };
+
+  describe('readTour', function() {
+
+    it('reads a tour object', function() {
+      var tour = olcs.TourPlayer.readTour({
+        waypoints: [waypoint, {
+          center: [3, 4],
+          heading: 0,
+          tilt: 0,
+          distance: 100,
+          duration: 1000,
+          pause: 500
+        }],
+        loop: 1
+      });
+      assert.deepEqual(tour, {
+        waypoints: [{
+          center: [1, 2],
+          heading: 0.1,
+          tilt: 0.2,
+          distance: 300,
+          duration: undefined,
+          pause: undefined
+        }, {
+          center: [3, 4],
+          heading: 0,
+          tilt: 0,
+          distance: 100,
+          duration: 1000,
+          pause: 500
+        }],
+        loop: true
+      });
+    });
+
+    it('reads a JSON string', function() {
+      var tour = olcs.TourPlayer.readTour(
+          JSON.stringify({waypoints: [waypoint]}));
+      assert.strictEqual(tour.waypoints.length, 1);
+      assert.deepEqual(tour.waypoints[0].center, [1, 2]);
+      assert.strictEqual(tour.loop, false);
+    });
+
+    it('reads a written tour', function() {
+      var tour = {waypoints: [waypoint], loop: true};
+      var read = olcs.TourPlayer.readTour(olcs.TourPlayer.writeTour(tour));
+      assert.deepEqual(read.waypoints[0].center, waypoint.center);
+      assert.strictEqual(read.waypoints[0].distance, waypoint.distance);
+      assert.strictEqual(read.loop, true);
+    });
+
+    it('returns null for invalid JSON', function() {
+      assert.strictEqual(olcs.TourPlayer.readTour('{waypoints: ['), null);
+    });
+
+    it('returns null without waypoints', function() {
+      assert.strictEqual(olcs.TourPlayer.readTour({}), null);
+      assert.strictEqual(olcs.TourPlayer.readTour('null'), null);
+      assert.strictEqual(olcs.TourPlayer.readTour({waypoints: {}}), null);
+    });
+
+    it('returns null for an invalid waypoint', function() {
+      var read = function(properties) {
+        var el = {};
+        for (var key in waypoint) {
+          el[key] = waypoint[key];
+        }
+        for (key in properties) {
+          el[key] = properties[key];
+        }
+        return olcs.TourPlayer.readTour({waypoints: [waypoint, el]});
+      };
+      assert.strictEqual(read({center: [1]}), null);
+      assert.strictEqual(read({center: [1, '2']}), null);
+      assert.strictEqual(read({center: undefined}), null);
+      assert.strictEqual(read({heading: undefined}), null);
+      assert.strictEqual(read({tilt: NaN}), null);
+      assert.strictEqual(read({distance: Infinity}), null);
+      assert.strictEqual(read({duration: '1000'}), null);
+      assert.strictEqual(read({pause: null}), null);
+      assert.notStrictEqual(read({}), null);
+    });
+
+  });
+
+});